@@ -0,0 +1,395 @@
+/**
+ * Builds the rigged teacher model (src/avatar/characters/classic/teacher.glb) from primitives.
+ *
+ *   node scripts/buildAvatarModel.mjs
+ *
+ * The character faces +z with the feet at the origin, 1 unit ≈ 1 m scaled
+ * down to a cartoon figure. Every part is rigidly bound to one bone; the
+ * bind pose has no rotations, so each inverse bind matrix is a translation.
+ *
+ * Meshes:
+ *   Body - skin, suit and accent parts
+ *   Face - eyes, brows, mouth and teeth, with morph targets (see FACE_TARGETS)
+ */
+import { writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const OUT = fileURLToPath(new URL("../src/avatar/characters/classic/teacher.glb", import.meta.url));
+
+// name, parent, head position (model space)
+const BONES = [
+  ["Hips", null, [0, 0.46, 0]],
+  ["Spine", "Hips", [0, 0.56, 0]],
+  ["Chest", "Spine", [0, 0.7, 0]],
+  ["Neck", "Chest", [0, 0.84, 0]],
+  ["Head", "Neck", [0, 0.9, 0]],
+  ["UpperArm_L", "Chest", [0.19, 0.8, 0]],
+  ["LowerArm_L", "UpperArm_L", [0.19, 0.63, 0]],
+  ["Hand_L", "LowerArm_L", [0.19, 0.47, 0]],
+  ["UpperArm_R", "Chest", [-0.19, 0.8, 0]],
+  ["LowerArm_R", "UpperArm_R", [-0.19, 0.63, 0]],
+  ["Hand_R", "LowerArm_R", [-0.19, 0.47, 0]],
+  ["Leg_L", "Hips", [0.07, 0.46, 0]],
+  ["Leg_R", "Hips", [-0.07, 0.46, 0]]
+];
+
+const MATERIALS = {
+  Skin: { color: "#e2e8f0", roughness: 0.55 },
+  Suit: { color: "#334155", roughness: 0.7 },
+  Trousers: { color: "#1e293b", roughness: 0.75 },
+  Accent: { color: "#22d3ee", roughness: 0.4, emissive: "#0e7490" },
+  Dark: { color: "#0f172a", roughness: 0.45 },
+  Teeth: { color: "#f8fafc", roughness: 0.3 }
+};
+
+// ---------- primitives: { positions, normals, indices } ----------
+
+function sphere(center, radii, { seg = 24, rings = 16, thetaMax = Math.PI } = {}) {
+  const [cx, cy, cz] = center;
+  const [a, b, c] = typeof radii === "number" ? [radii, radii, radii] : radii;
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  for (let i = 0; i <= rings; i++) {
+    const theta = (i / rings) * thetaMax;
+    for (let j = 0; j <= seg; j++) {
+      const phi = (j / seg) * Math.PI * 2;
+      const ux = Math.sin(theta) * Math.sin(phi);
+      const uy = Math.cos(theta);
+      const uz = Math.sin(theta) * Math.cos(phi);
+      positions.push(cx + ux * a, cy + uy * b, cz + uz * c);
+      const n = [ux / a, uy / b, uz / c];
+      const len = Math.hypot(...n) || 1;
+      normals.push(n[0] / len, n[1] / len, n[2] / len);
+    }
+  }
+  for (let i = 0; i < rings; i++) {
+    for (let j = 0; j < seg; j++) {
+      const p = i * (seg + 1) + j;
+      const q = p + seg + 1;
+      indices.push(p, q, p + 1, p + 1, q, q + 1);
+    }
+  }
+  return { positions, normals, indices };
+}
+
+// Vertical cylinder from y0 (bottom) to y1 (top), with caps
+function cylinder([cx, cz], y0, y1, r, seg = 16) {
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  for (const y of [y0, y1]) {
+    for (let j = 0; j <= seg; j++) {
+      const phi = (j / seg) * Math.PI * 2;
+      positions.push(cx + Math.sin(phi) * r, y, cz + Math.cos(phi) * r);
+      normals.push(Math.sin(phi), 0, Math.cos(phi));
+    }
+  }
+  for (let j = 0; j < seg; j++) {
+    const p = j;
+    const q = j + seg + 1;
+    indices.push(p, p + 1, q, q, p + 1, q + 1);
+  }
+  for (const [y, ny] of [
+    [y0, -1],
+    [y1, 1]
+  ]) {
+    const center = positions.length / 3;
+    positions.push(cx, y, cz);
+    normals.push(0, ny, 0);
+    for (let j = 0; j <= seg; j++) {
+      const phi = (j / seg) * Math.PI * 2;
+      positions.push(cx + Math.sin(phi) * r, y, cz + Math.cos(phi) * r);
+      normals.push(0, ny, 0);
+    }
+    for (let j = 0; j < seg; j++) {
+      const a = center + 1 + j;
+      if (ny > 0) indices.push(center, a, a + 1);
+      else indices.push(center, a + 1, a);
+    }
+  }
+  return { positions, normals, indices };
+}
+
+function box([cx, cy, cz], [w, h, d]) {
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  const faces = [
+    [[1, 0, 0], [0, 1, 0], [0, 0, -1]],
+    [[-1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    [[0, 1, 0], [0, 0, -1], [1, 0, 0]],
+    [[0, -1, 0], [0, 0, 1], [1, 0, 0]],
+    [[0, 0, 1], [0, 1, 0], [1, 0, 0]],
+    [[0, 0, -1], [0, 1, 0], [-1, 0, 0]]
+  ];
+  const half = [w / 2, h / 2, d / 2];
+  for (const [n, up, right] of faces) {
+    const base = positions.length / 3;
+    for (const [su, sr] of [
+      [-1, -1],
+      [-1, 1],
+      [1, 1],
+      [1, -1]
+    ]) {
+      const p = [0, 1, 2].map((k) => (n[k] + up[k] * su + right[k] * sr) * half[k]);
+      positions.push(cx + p[0], cy + p[1], cz + p[2]);
+      normals.push(...n);
+    }
+    indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+  }
+  return { positions, normals, indices };
+}
+
+// ---------- the character ----------
+
+const bone = (name) => BONES.findIndex((b) => b[0] === name);
+const SMALL = { seg: 12, rings: 8 }; // tessellation for small spheres
+
+// [material, bone, geometry]
+const BODY = [
+  ["Trousers", "Leg_L", cylinder([0.07, 0], 0.05, 0.47, 0.045)],
+  ["Trousers", "Leg_R", cylinder([-0.07, 0], 0.05, 0.47, 0.045)],
+  ["Dark", "Leg_L", box([0.07, 0.028, 0.02], [0.09, 0.056, 0.15])],
+  ["Dark", "Leg_R", box([-0.07, 0.028, 0.02], [0.09, 0.056, 0.15])],
+  ["Trousers", "Hips", sphere([0, 0.48, 0], [0.13, 0.07, 0.085])],
+  ["Suit", "Chest", sphere([0, 0.66, 0], [0.16, 0.2, 0.1])],
+  ["Suit", "Chest", sphere([0, 0.79, 0], [0.2, 0.06, 0.09])],
+  ["Accent", "Chest", box([0, 0.72, 0.098], [0.035, 0.14, 0.012])],
+  ["Skin", "Neck", cylinder([0, 0], 0.83, 0.91, 0.036)],
+  ["Skin", "Head", sphere([0, 1, 0], 0.13)],
+  ["Dark", "Head", sphere([0, 1.012, -0.008], 0.136, { thetaMax: Math.PI * 0.42 })],
+  ...[
+    ["L", 1],
+    ["R", -1]
+  ].flatMap(([side, sx]) => [
+    ["Suit", `UpperArm_${side}`, sphere([0.19 * sx, 0.8, 0], 0.045, SMALL)],
+    ["Suit", `UpperArm_${side}`, cylinder([0.19 * sx, 0], 0.63, 0.8, 0.04)],
+    ["Suit", `LowerArm_${side}`, sphere([0.19 * sx, 0.63, 0], 0.038, SMALL)],
+    ["Suit", `LowerArm_${side}`, cylinder([0.19 * sx, 0], 0.5, 0.63, 0.035)],
+    ["Skin", `Hand_${side}`, sphere([0.19 * sx, 0.47, 0], 0.042, SMALL)]
+  ])
+];
+
+const EYES = [
+  [0.045, 1.012, 0.121],
+  [-0.045, 1.012, 0.121]
+];
+const BROWS = [
+  [0.047, 1.05, 0.119],
+  [-0.047, 1.05, 0.119]
+];
+const MOUTH = [0, 0.94, 0.119];
+const TEETH = [0, 0.944, 0.1265]; // upper teeth: collapsed to this point unless a shape shows them
+
+const mouthShape = (sx, sy) => (p, part) =>
+  part === "mouth" ? [(p[0] - MOUTH[0]) * sx, (p[1] - MOUTH[1]) * sy, 0] : [0, 0, 0];
+const withTeeth = (amount, mouth) => (p, part) =>
+  part === "teeth" ? p.map((v, k) => (v - TEETH[k]) * amount) : mouth(p, part);
+
+// Face morph targets: name -> offset of a vertex, given its full-size position.
+// The rest mouth is a closed slit; the other mouth shapes match the visemes
+// in src/speech/visemes.js.
+const FACE_TARGETS = {
+  // eyes squashed to a line
+  blink: (p, part) => (part === "eye" ? [0, (p[1] - EYES[0][1]) * -0.85, 0] : [0, 0, 0]),
+  // raised for questions and emphasis (see src/avatar/gestures.js)
+  browsUp: (p, part) => (part === "brow" ? [0, 0.014, 0.002] : [0, 0, 0]),
+  open: mouthShape(-0.15, 2.6),
+  round: mouthShape(-0.45, 1.7),
+  wide: withTeeth(0.6, mouthShape(0.35, 0.7)),
+  teeth: withTeeth(1, mouthShape(0.05, 1.1))
+};
+
+// [part, material, geometry]
+const FACE = [
+  ...EYES.map((c) => ["eye", "Dark", sphere(c, [0.018, 0.02, 0.01], SMALL)]),
+  ...BROWS.map((c) => ["brow", "Dark", box(c, [0.036, 0.008, 0.006])]),
+  ["mouth", "Dark", sphere(MOUTH, [0.034, 0.009, 0.008], SMALL)],
+  ["teeth", "Teeth", box(TEETH, [0.03, 0.008, 0.003])]
+];
+
+// ---------- glTF assembly ----------
+
+function srgbToLinear(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [16, 8, 0].map((s) => {
+    const c = ((n >> s) & 255) / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+}
+
+function merge(parts) {
+  const out = { positions: [], normals: [], indices: [], joints: [], parts: [] };
+  for (const { geom, joint, tag } of parts) {
+    const base = out.positions.length / 3;
+    out.positions.push(...geom.positions);
+    out.normals.push(...geom.normals);
+    out.indices.push(...geom.indices.map((i) => i + base));
+    for (let i = 0; i < geom.positions.length / 3; i++) {
+      out.joints.push(joint, 0, 0, 0);
+      out.parts.push(tag);
+    }
+  }
+  return out;
+}
+
+const chunks = [];
+let byteLength = 0;
+const bufferViews = [];
+const accessors = [];
+
+function addAccessor(typedArray, componentType, type, count, { target, minMax } = {}) {
+  const bytes = Buffer.from(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+  const pad = (4 - (bytes.length % 4)) % 4;
+  bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, ...(target ? { target } : {}) });
+  chunks.push(bytes, Buffer.alloc(pad));
+  byteLength += bytes.length + pad;
+
+  const accessor = { bufferView: bufferViews.length - 1, componentType, count, type };
+  if (minMax) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < count; i++) {
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], typedArray[i * 3 + k]);
+        max[k] = Math.max(max[k], typedArray[i * 3 + k]);
+      }
+    }
+    Object.assign(accessor, { min, max });
+  }
+  accessors.push(accessor);
+  return accessors.length - 1;
+}
+
+const FLOAT = 5126;
+const UNSIGNED_BYTE = 5121;
+const UNSIGNED_SHORT = 5123;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+function primitive(geom, material, targets) {
+  const count = geom.positions.length / 3;
+  if (count > 65535) throw new Error("primitive too large for 16-bit indices");
+  const weights = new Float32Array(count * 4);
+  for (let i = 0; i < count; i++) weights[i * 4] = 1;
+
+  const prim = {
+    attributes: {
+      POSITION: addAccessor(new Float32Array(geom.positions), FLOAT, "VEC3", count, {
+        target: ARRAY_BUFFER,
+        minMax: true
+      }),
+      NORMAL: addAccessor(new Float32Array(geom.normals), FLOAT, "VEC3", count, { target: ARRAY_BUFFER }),
+      JOINTS_0: addAccessor(new Uint8Array(geom.joints), UNSIGNED_BYTE, "VEC4", count, { target: ARRAY_BUFFER }),
+      WEIGHTS_0: addAccessor(weights, FLOAT, "VEC4", count, { target: ARRAY_BUFFER })
+    },
+    indices: addAccessor(new Uint16Array(geom.indices), UNSIGNED_SHORT, "SCALAR", geom.indices.length, {
+      target: ELEMENT_ARRAY_BUFFER
+    }),
+    material
+  };
+  if (targets) {
+    prim.targets = targets.map((offsets) => ({
+      POSITION: addAccessor(new Float32Array(offsets), FLOAT, "VEC3", count, { target: ARRAY_BUFFER, minMax: true })
+    }));
+  }
+  return prim;
+}
+
+const materialNames = Object.keys(MATERIALS);
+const materials = materialNames.map((name) => {
+  const { color, roughness, emissive } = MATERIALS[name];
+  return {
+    name,
+    pbrMetallicRoughness: { baseColorFactor: [...srgbToLinear(color), 1], metallicFactor: 0, roughnessFactor: roughness },
+    ...(emissive ? { emissiveFactor: srgbToLinear(emissive) } : {})
+  };
+});
+
+const bodyPrimitives = materialNames
+  .map((name, material) => {
+    const parts = BODY.filter(([m]) => m === name).map(([, b, geom]) => ({ geom, joint: bone(b) }));
+    return parts.length ? primitive(merge(parts), material) : null;
+  })
+  .filter(Boolean);
+
+const targetNames = Object.keys(FACE_TARGETS);
+const facePrimitives = materialNames
+  .map((name, material) => {
+    const parts = FACE.filter(([, m]) => m === name).map(([tag, , geom]) => ({ geom, joint: bone("Head"), tag }));
+    if (!parts.length) return null;
+    const geom = merge(parts);
+    const targets = targetNames.map((target) =>
+      geom.parts.flatMap((tag, i) => FACE_TARGETS[target](geom.positions.slice(i * 3, i * 3 + 3), tag))
+    );
+    geom.parts.forEach((tag, i) => {
+      if (tag === "teeth") geom.positions.splice(i * 3, 3, ...TEETH);
+    });
+    return primitive(geom, material, targets);
+  })
+  .filter(Boolean);
+
+// joints are nodes 1..n (node 0 is the root); the bind pose is translation only
+const jointNodes = BONES.map(([name, parent, head]) => {
+  const parentHead = parent ? BONES[bone(parent)][2] : [0, 0, 0];
+  return {
+    name,
+    translation: head.map((v, k) => +(v - parentHead[k]).toFixed(4)),
+    children: BONES.map((b, i) => (b[1] === name ? i + 1 : -1)).filter((i) => i > 0)
+  };
+});
+for (const n of jointNodes) if (!n.children.length) delete n.children;
+
+const inverseBind = new Float32Array(BONES.length * 16);
+BONES.forEach(([, , [x, y, z]], i) => {
+  inverseBind.set([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, -x, -y, -z, 1], i * 16);
+});
+const inverseBindAccessor = addAccessor(inverseBind, FLOAT, "MAT4", BONES.length);
+
+const bodyNode = 1 + BONES.length;
+const faceNode = bodyNode + 1;
+const gltf = {
+  asset: { version: "2.0", generator: "scripts/buildAvatarModel.mjs" },
+  scene: 0,
+  scenes: [{ nodes: [0] }],
+  nodes: [
+    { name: "Teacher", children: [1, bodyNode, faceNode] },
+    ...jointNodes,
+    { name: "Body", mesh: 0, skin: 0 },
+    { name: "Face", mesh: 1, skin: 0 }
+  ],
+  meshes: [
+    { name: "Body", primitives: bodyPrimitives },
+    { name: "Face", primitives: facePrimitives, weights: targetNames.map(() => 0), extras: { targetNames } }
+  ],
+  skins: [{ name: "TeacherRig", skeleton: 1, joints: BONES.map((_, i) => i + 1), inverseBindMatrices: inverseBindAccessor }],
+  materials,
+  accessors,
+  bufferViews,
+  buffers: [{ byteLength }]
+};
+
+// ---------- GLB container ----------
+
+const json = Buffer.from(JSON.stringify(gltf));
+const jsonChunk = Buffer.concat([json, Buffer.alloc((4 - (json.length % 4)) % 4, 0x20)]);
+const binChunk = Buffer.concat(chunks);
+
+const header = Buffer.alloc(12);
+header.writeUInt32LE(0x46546c67, 0); // "glTF"
+header.writeUInt32LE(2, 4);
+header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + binChunk.length, 8);
+
+const chunkHeader = (length, type) => {
+  const b = Buffer.alloc(8);
+  b.writeUInt32LE(length, 0);
+  b.writeUInt32LE(type, 4);
+  return b;
+};
+
+writeFileSync(
+  OUT,
+  Buffer.concat([header, chunkHeader(jsonChunk.length, 0x4e4f534a), jsonChunk, chunkHeader(binChunk.length, 0x004e4942), binChunk])
+);
+console.log(`wrote ${OUT} (${12 + 16 + jsonChunk.length + binChunk.length} bytes)`);
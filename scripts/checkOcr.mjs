@@ -0,0 +1,84 @@
+/**
+ * End-to-end OCR check: makes a one-page PDF, renders it to a page image the
+ * way recognizePage.js does (pdf.js, white background, 2×), and reads it
+ * back with tesseract.js using the app's bundled English data and worker
+ * options. Fails unless every word comes back.
+ *
+ *   node scripts/checkOcr.mjs
+ */
+import { createRequire } from "node:module";
+import { dirname, join } from "node:path";
+import { DOMMatrix, Path2D, createCanvas } from "@napi-rs/canvas";
+import { createWorker } from "tesseract.js";
+import { languagePath } from "../src/ocr/languageData.js";
+
+// pdf.js draws with these; it looks for them when it loads
+globalThis.DOMMatrix ??= DOMMatrix;
+globalThis.Path2D ??= Path2D;
+const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+
+const require = createRequire(import.meta.url);
+const ENG_DATA = require.resolve("@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz");
+const STANDARD_FONTS = join(dirname(require.resolve("pdfjs-dist/package.json")), "standard_fonts/");
+
+const LINES = ["The quick brown fox jumps", "over the lazy dog while", "the teacher reads aloud."];
+const SCALE = 2;
+
+// Minimal PDF: one Letter page, LINES in 18pt Helvetica
+function makePdf(lines) {
+  const text = lines.map((l, i) => `BT /F1 18 Tf 72 ${700 - i * 28} Td (${l}) Tj ET`).join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+    `<< /Length ${text.length} >>\nstream\n${text}\nendstream`
+  ];
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new TextEncoder().encode(pdf);
+}
+
+async function renderPage(data) {
+  const pdf = await getDocument({ data, standardFontDataUrl: STANDARD_FONTS, disableFontFace: true }).promise;
+  const page = await pdf.getPage(1);
+  const viewport = page.getViewport({ scale: SCALE });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: ctx, viewport }).promise;
+  await pdf.destroy();
+  return canvas.toBuffer("image/png");
+}
+
+const image = await renderPage(makePdf(LINES));
+const worker = await createWorker("eng", 1, {
+  langPath: languagePath("eng", ENG_DATA),
+  gzip: true,
+  cacheMethod: "none"
+});
+try {
+  const { data } = await worker.recognize(image);
+  const normalize = (s) => s.toLowerCase().replace(/[^a-z]+/g, " ").trim();
+  const found = new Set(normalize(data.text).split(" "));
+  const missing = normalize(LINES.join(" "))
+    .split(" ")
+    .filter((w) => !found.has(w));
+  if (missing.length) {
+    console.error(`OCR missed: ${missing.join(", ")}\nread: ${JSON.stringify(data.text)}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`OCR ok: ${JSON.stringify(data.text.trim())}`);
+  }
+} finally {
+  await worker.terminate();
+}
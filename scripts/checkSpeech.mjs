@@ -0,0 +1,61 @@
+/**
+ * Spoken-text checks for the speech rewrites (lexicon, math), run through
+ * buildSpeechChunks the way the reader composes them. Fails on any mismatch.
+ *
+ *   node scripts/checkSpeech.mjs
+ */
+import { buildSpeechChunks, composeRewrites } from "../src/speech/speechPlan.js";
+import { DEFAULT_LEXICON, compileLexicon } from "../src/speech/lexicon.js";
+import { createMathRewrite } from "../src/speech/mathSpeech.js";
+
+const lexicon = compileLexicon(DEFAULT_LEXICON);
+const reader = composeRewrites(lexicon, createMathRewrite({ yieldTo: lexicon }));
+
+function spoken(text, rewrite = reader) {
+  const segments = text.split(/\s+/).map((word, index) => ({ word, index, block: 0 }));
+  return buildSpeechChunks(segments, { rewrite })
+    .map((c) => c.text)
+    .join(" ");
+}
+
+// [printed, expected spoken text]
+const CASES = [
+  // formulas
+  ["x² + y² = z²", "x squared plus y squared equals z squared"],
+  ["Let θ = 2π r.", "Let theta equals 2 pi r."],
+  ["so α+β = γ here", "so alpha plus beta equals gamma here"],
+  ["The angle θ is small.", "The angle theta is small."],
+  ["x - y = 3", "x minus y equals 3"],
+  ["a / b", "a over b"],
+  ["We have sin(x) and cos(2x) here.", "We have sine of x and cosine of 2 x here."],
+  ["f(x) = 2x + 1", "f of x equals 2 x plus 1"],
+  ["Is x < y?", "Is x less than y?"],
+  ["The answer is x < y.", "The answer is x is less than y."],
+  ["Let n-1 items and a/b of them", "Let n minus 1 items and a over b of them"],
+  ["so 2x-1 = 5", "so 2 x minus 1 equals 5"],
+  // prose that only looks like math
+  ["Η Αθήνα είναι η πρωτεύουσα της Ελλάδας.", "Η Αθήνα είναι η πρωτεύουσα της Ελλάδας."],
+  ["εάν η τιμή είναι μ", "εάν η τιμή είναι μ"],
+  ["Only $5 - a bargain!", "Only $5 - a bargain!"],
+  ["See section 2.1 - results follow.", "See section 2.1 - results follow."],
+  ["Compare A/B testing and I/O speed.", "Compare A/B testing and I/O speed."],
+  ["pages 3-7 and well-known and/or", "pages 3-7 and well-known and/or"],
+  ["An X-ray shows it.", "An X-ray shows it."],
+  ["a 3-D model", "a 3-D model"],
+  ["tea w/o sugar", "tea w/o sugar"],
+  ["the B-52 bomber", "the B-52 bomber"],
+  // the lexicon wins over math
+  ["Drive at 50 km/h here.", "Drive at 50 kilometres per hour here."],
+  ["It moves at 3 m/s.", "It moves at 3 metres per second."]
+];
+
+let failed = 0;
+for (const [printed, expected] of CASES) {
+  const got = spoken(printed);
+  if (got !== expected) {
+    failed++;
+    console.error(`✗ ${JSON.stringify(printed)}\n    expected ${JSON.stringify(expected)}\n    got      ${JSON.stringify(got)}`);
+  }
+}
+console.log(`${CASES.length - failed}/${CASES.length} speech checks passed`);
+if (failed) process.exitCode = 1;
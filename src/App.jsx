@@ -18,7 +18,8 @@ export default function App() {
       </main>
 
       <footer className="mx-auto max-w-6xl px-4 pb-10 text-xs text-slate-500">
-        Tip: Chrome/Edge work best for <code>speechSynthesis.onboundary</code>.
+        Tip: Chrome/Edge emit <code>speechSynthesis.onboundary</code> for exact word sync; other
+        browsers fall back to estimated word timing.
       </footer>
     </div>
   );
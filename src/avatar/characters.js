@@ -0,0 +1,181 @@
+import { ART_HEIGHT, ART_WIDTH } from "./placement.js";
+import { VISEMES } from "../speech/visemes.js";
+
+/**
+ * Avatar characters (skins). A character is a JSON manifest plus SVG or
+ * image parts, drawn in the ART_WIDTH × ART_HEIGHT (320 × 240) art box,
+ * facing left toward its board:
+ *
+ *   {
+ *     "format": 1,
+ *     "name": "Professor Owl",
+ *     "parts": {
+ *       "body":  "body.svg",
+ *       "head":  "head.svg",
+ *       "eyes":  { "size": [w, h], "open": "eyes-open.svg", "closed": "eyes-closed.svg" },
+ *       "brows": { "size": [w, h], "src": "brows.svg" },
+ *       "mouth": { "size": [w, h], "idle": "…", "closed": "…", "open": "…", … }
+ *     },
+ *     "anchors": { "hand": [x, y], "head": [x, y], "eyes": …, "brows": …, "mouth": …, "feet": … },
+ *     "figure": [left, top, right, bottom],
+ *     "model": "teacher.glb"
+ *   }
+ *
+ *   body, head - whole-box layers; the head is drawn over the body and turns,
+ *                nods and tilts around the head anchor
+ *   eyes, brows, mouth - w × h parts centred on their anchor. Mouth shapes
+ *                are the VISEMES plus "idle" (not speaking); missing ones
+ *                fall back to "open", then "closed"
+ *   hand       - where the pointer starts
+ *   figure     - grab area for dragging (default: the whole box)
+ *   model      - optional glTF with the rig of scripts/buildAvatarModel.mjs,
+ *                standing on the feet anchor; used where WebGL is available
+ *
+ * Only parts.body and anchors.hand are required: without eyes the character
+ * doesn't blink, without a mouth it doesn't lip-sync. Paths are relative to
+ * the manifest, so a school can host its own and open it with the lesson
+ * link `character=<url>` or the picker.
+ */
+const characters = new Map();
+
+export const DEFAULT_CHARACTER = "classic";
+
+const CHOICE_KEY = "vt.character";
+const MOUTH_SHAPES = ["idle", ...VISEMES];
+
+function point(value, what) {
+  if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+    throw new Error(`${what} must be [x, y]`);
+  }
+  return { x: value[0], y: value[1] };
+}
+
+function size(value, what) {
+  const p = point(value, `${what}.size`);
+  if (p.x <= 0 || p.y <= 0) throw new Error(`${what}.size must be positive`);
+  return { width: p.x, height: p.y };
+}
+
+function box(value, what) {
+  const ok = Array.isArray(value) && value.length === 4 && value.every(Number.isFinite);
+  if (!ok || value[2] <= value[0] || value[3] <= value[1]) throw new Error(`${what} must be [left, top, right, bottom]`);
+  return { left: value[0], top: value[1], right: value[2], bottom: value[3] };
+}
+
+/**
+ * Manifest JSON -> character. resolve(path) turns a part path into a URL;
+ * throws on a malformed manifest.
+ */
+export function parseCharacter(json, { id, resolve }) {
+  if (json?.format !== 1) throw new Error("not a character manifest (format 1)");
+  const { parts = {}, anchors = {} } = json;
+  const part = (path, what) => {
+    if (typeof path !== "string" || !path) throw new Error(`${what} must be a path`);
+    const url = resolve(path);
+    if (!url) throw new Error(`${what}: ${path} not found`);
+    return url;
+  };
+  const anchor = (name) => point(anchors[name], `anchors.${name}`);
+
+  const eyes = parts.eyes
+    ? {
+        ...size(parts.eyes.size, "eyes"),
+        at: anchor("eyes"),
+        open: part(parts.eyes.open, "eyes.open"),
+        closed: part(parts.eyes.closed, "eyes.closed")
+      }
+    : null;
+  const brows = parts.brows
+    ? { ...size(parts.brows.size, "brows"), at: anchor("brows"), src: part(parts.brows.src, "brows.src") }
+    : null;
+
+  let mouth = null;
+  if (parts.mouth) {
+    const shapes = {};
+    for (const shape of MOUTH_SHAPES) {
+      if (parts.mouth[shape] != null) shapes[shape] = part(parts.mouth[shape], `mouth.${shape}`);
+    }
+    if (!shapes.closed) throw new Error("mouth.closed is required");
+    for (const shape of MOUTH_SHAPES) shapes[shape] ??= shapes.open ?? shapes.closed;
+    mouth = { ...size(parts.mouth.size, "mouth"), at: anchor("mouth"), shapes };
+  }
+
+  const figure = json.figure ? box(json.figure, "figure") : { left: 0, top: 0, right: ART_WIDTH, bottom: ART_HEIGHT };
+
+  return {
+    id,
+    name: typeof json.name === "string" && json.name.trim() ? json.name.trim() : id,
+    body: part(parts.body, "body"),
+    head: parts.head != null ? part(parts.head, "head") : null,
+    eyes,
+    brows,
+    mouth,
+    anchors: {
+      hand: anchor("hand"),
+      head: anchors.head ? anchor("head") : (eyes?.at ?? { x: ART_WIDTH / 2, y: ART_HEIGHT / 2 }),
+      feet: anchors.feet ? anchor("feet") : { x: (figure.left + figure.right) / 2, y: figure.bottom }
+    },
+    figure,
+    model: json.model != null ? part(json.model, "model") : null
+  };
+}
+
+export function registerCharacter(character) {
+  characters.set(character.id, character);
+  return character;
+}
+
+export function getCharacter(id) {
+  return characters.get(id) ?? characters.get(DEFAULT_CHARACTER) ?? null;
+}
+
+export function hasCharacter(id) {
+  return characters.has(id);
+}
+
+export function listCharacters() {
+  return Array.from(characters.values());
+}
+
+// Character id of a manifest URL: the URL, made absolute
+export function characterUrlId(url) {
+  return new URL(url, window.location.href).href;
+}
+
+// Fetch a manifest and register it (id: characterUrlId(url))
+export async function loadCharacter(url) {
+  const href = characterUrlId(url);
+  const res = await fetch(href);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const json = await res.json();
+  return registerCharacter(parseCharacter(json, { id: href, resolve: (path) => new URL(path, href).href }));
+}
+
+export function loadCharacterChoice() {
+  try {
+    return localStorage.getItem(CHOICE_KEY) || DEFAULT_CHARACTER;
+  } catch {
+    return DEFAULT_CHARACTER;
+  }
+}
+
+export function saveCharacterChoice(id) {
+  try {
+    localStorage.setItem(CHOICE_KEY, id);
+  } catch {
+    // storage disabled: the choice lasts for this session only
+  }
+}
+
+// Built-in characters: characters/<id>/character.json and its parts
+const BUILT_IN = import.meta.glob("./characters/*/character.json", { eager: true, import: "default" });
+const BUILT_IN_PARTS = import.meta.glob("./characters/*/*.{svg,png,glb}", {
+  eager: true,
+  query: "?url",
+  import: "default"
+});
+for (const [path, json] of Object.entries(BUILT_IN)) {
+  const dir = path.slice(0, path.lastIndexOf("/") + 1);
+  const id = dir.split("/")[2];
+  registerCharacter(parseCharacter(json, { id, resolve: (part) => BUILT_IN_PARTS[dir + part] }));
+}
@@ -0,0 +1,161 @@
+/**
+ * Content-aware gestures. Each spoken word gets a set of text features, and
+ * a small declarative map turns features into gestures for the avatar:
+ *
+ *   features: question, exclamation, emphasis, heading, paragraphEnd
+ *   gestures: raiseBrows, emphasize, turnToBoard, nod
+ *
+ * map: [{ when, gesture, intensity?, hold? }] - every matching rule fires.
+ *   intensity - 0–1 (default 1)
+ *   hold      - ms the gesture stays at full strength after its last trigger
+ *
+ * A course can ship its own map as JSON (lesson link `gestures=<url>`); rules
+ * naming unknown features or gestures are dropped.
+ */
+export const TEXT_FEATURES = ["question", "exclamation", "emphasis", "heading", "paragraphEnd"];
+export const GESTURES = ["raiseBrows", "emphasize", "turnToBoard", "nod"];
+
+export const DEFAULT_GESTURE_MAP = [
+  { when: "question", gesture: "raiseBrows", hold: 500 },
+  { when: "exclamation", gesture: "raiseBrows", intensity: 0.6, hold: 300 },
+  { when: "emphasis", gesture: "emphasize", hold: 250 },
+  { when: "heading", gesture: "turnToBoard", hold: 900 },
+  { when: "paragraphEnd", gesture: "nod" }
+];
+
+const ATTACK_MS = 150;
+const RELEASE_MS = 300;
+const NOD_MS = 600; // one down-and-up
+const HEADING_SIZE = 1.3; // × body text height
+const EMPHASIS_SIZE = 1.15;
+const MAX_HEADING_WORDS = 14;
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+export function parseGestureMap(json) {
+  if (!Array.isArray(json)) throw new Error("gesture map must be an array of rules");
+  return json
+    .filter((r) => TEXT_FEATURES.includes(r?.when) && GESTURES.includes(r?.gesture))
+    .map((r) => ({
+      when: r.when,
+      gesture: r.gesture,
+      intensity: Number.isFinite(r.intensity) ? clamp(r.intensity, 0, 1) : 1,
+      ...(Number.isFinite(r.hold) ? { hold: clamp(r.hold, 0, 10000) } : {})
+    }));
+}
+
+export async function loadGestureMap(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return parseGestureMap(await res.json());
+}
+
+// ---------- text features ----------
+
+// Body text height (median word box) and word count per line, per segments array
+const statsCache = new WeakMap();
+function textStats(segs) {
+  let stats = statsCache.get(segs);
+  if (stats) return stats;
+  const heights = segs
+    .map((s) => (s.box ? s.box.bottom - s.box.top : 0))
+    .filter((h) => h > 0)
+    .sort((a, b) => a - b);
+  const lineWords = new Map();
+  for (const s of segs) lineWords.set(s.line, (lineWords.get(s.line) ?? 0) + 1);
+  stats = { body: heights[Math.floor(heights.length / 2)] ?? 0, lineWords };
+  statsCache.set(segs, stats);
+  return stats;
+}
+
+function isBold(el) {
+  if (!el) return false;
+  if (el.closest?.("b, strong, em, mark")) return true;
+  const style = getComputedStyle(el);
+  return Number(style.fontWeight) >= 600 || /bold|black|heavy/i.test(style.fontFamily);
+}
+
+/**
+ * Features of segs[i] (word segments as built by extractWordSegments or
+ * extractDomSegments) -> Set of TEXT_FEATURES
+ */
+export function wordFeatures(segs, i) {
+  const seg = segs[i];
+  const out = new Set();
+  if (!seg) return out;
+
+  // the sentence this word belongs to (stops at the end of the block)
+  let j = i;
+  while (j < segs.length - 1 && segs[j + 1].block === seg.block && !SENTENCE_END.test(segs[j].word)) j++;
+  const end = segs[j].word;
+  if (/\?["'”’)\]]*$/.test(end)) out.add("question");
+  else if (/!["'”’)\]]*$/.test(end)) out.add("exclamation");
+
+  const { body, lineWords } = textStats(segs);
+  const size = seg.box && body ? (seg.box.bottom - seg.box.top) / body : 1;
+  const heading =
+    !!seg.spanEl?.closest?.("h1, h2, h3, h4, h5, h6") ||
+    (size >= HEADING_SIZE && (lineWords.get(seg.line) ?? 0) <= MAX_HEADING_WORDS);
+  if (heading) out.add("heading");
+  else if (size >= EMPHASIS_SIZE || seg.bold || isBold(seg.spanEl)) out.add("emphasis");
+
+  if (i === segs.length - 1 || segs[i + 1].block !== seg.block) out.add("paragraphEnd");
+  return out;
+}
+
+// Gestures the map asks for, given a word's features
+export function gesturesFor(features, map = DEFAULT_GESTURE_MAP) {
+  return map.filter((r) => features.has(r.when));
+}
+
+// ---------- playback ----------
+
+/**
+ * Keeps the running gestures and their envelopes. trigger() with rules from
+ * gesturesFor() (re-triggering extends a gesture), sample() every frame:
+ * returns a 0–1 weight per GESTURES entry (nod: 0 → 1 → 0 over one nod).
+ */
+export function createGesturePlayer() {
+  const active = new Map(); // gesture -> { start, until, intensity }
+
+  return {
+    trigger(rules, now = performance.now()) {
+      for (const { gesture, intensity = 1, hold = 0 } of rules) {
+        const cur = active.get(gesture);
+        if (gesture === "nod") {
+          if (!cur) active.set(gesture, { start: now, until: now + NOD_MS, intensity });
+        } else if (cur && now < cur.until + RELEASE_MS) {
+          cur.until = Math.max(cur.until, now + hold);
+          cur.intensity = Math.max(cur.intensity, intensity);
+        } else {
+          active.set(gesture, { start: now, until: now + ATTACK_MS + hold, intensity });
+        }
+      }
+    },
+    sample(now = performance.now()) {
+      const out = Object.fromEntries(GESTURES.map((g) => [g, 0]));
+      for (const [gesture, g] of active) {
+        let w;
+        if (gesture === "nod") {
+          w = now < g.until ? Math.sin((Math.PI * (now - g.start)) / NOD_MS) : 0;
+        } else {
+          const rise = clamp((now - g.start) / ATTACK_MS, 0, 1);
+          const fall = clamp(1 - (now - g.until) / RELEASE_MS, 0, 1);
+          w = Math.min(rise, fall);
+        }
+        if (w <= 0 && now > g.until) active.delete(gesture);
+        else out[gesture] = w * g.intensity;
+      }
+      return out;
+    },
+    idle() {
+      return active.size === 0;
+    },
+    clear() {
+      active.clear();
+    }
+  };
+}
@@ -0,0 +1,72 @@
+import { Euler, Quaternion, Vector3 } from "three";
+
+/**
+ * Inverse kinematics for the teacher rig. Works on three.js bones in world
+ * space; callers reset the bones to their rest pose and update world
+ * matrices before solving, so results never accumulate between frames.
+ */
+const _origin = new Vector3();
+const _from = new Vector3();
+const _to = new Vector3();
+const _delta = new Quaternion();
+const _world = new Quaternion();
+const _parent = new Quaternion();
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+// Rotate `bone` so the world point `from` (somewhere down its chain) moves onto the line toward `to`
+function aimBone(bone, from, to) {
+  bone.getWorldPosition(_origin);
+  _from.subVectors(from, _origin).normalize();
+  _to.subVectors(to, _origin).normalize();
+  _delta.setFromUnitVectors(_from, _to);
+
+  bone.getWorldQuaternion(_world);
+  bone.parent.getWorldQuaternion(_parent);
+  bone.quaternion.copy(_parent.invert().multiply(_delta.multiply(_world)));
+  bone.updateMatrixWorld(true);
+}
+
+/**
+ * Two-bone IK (shoulder → elbow → hand): bends the chain so `end` reaches
+ * `target`, or gets as close as the arm allows. The elbow bends toward the
+ * world point `pole`.
+ */
+export function solveTwoBoneIK(upper, lower, end, target, pole) {
+  const a = upper.getWorldPosition(new Vector3());
+  const b = lower.getWorldPosition(new Vector3());
+  const c = end.getWorldPosition(new Vector3());
+  const l1 = a.distanceTo(b);
+  const l2 = b.distanceTo(c);
+
+  const n = new Vector3().subVectors(target, a);
+  const dist = clamp(n.length(), Math.abs(l1 - l2) + 1e-4, l1 + l2 - 1e-4);
+  n.normalize();
+
+  // bend direction: the pole, minus its component along the reach
+  const u = new Vector3().subVectors(pole, a);
+  u.addScaledVector(n, -u.dot(n));
+  if (u.lengthSq() < 1e-8) u.set(0, -1, 0).addScaledVector(n, n.y);
+  u.normalize();
+
+  const cosA = clamp((l1 * l1 + dist * dist - l2 * l2) / (2 * l1 * dist), -1, 1);
+  const elbow = a.clone().addScaledVector(n, l1 * cosA).addScaledVector(u, l1 * Math.sqrt(1 - cosA * cosA));
+  const hand = a.clone().addScaledVector(n, dist);
+
+  aimBone(upper, b, elbow);
+  aimBone(lower, end.getWorldPosition(c), hand);
+}
+
+/**
+ * Turns `bone` (facing +z at rest) toward the world point `target`, limited
+ * to `maxYaw` / `maxPitch` radians. `rest` is the bone's rest quaternion.
+ */
+export function lookAtLimited(bone, rest, target, { maxYaw = 0.6, maxPitch = 0.4 } = {}) {
+  const dir = bone.parent.worldToLocal(target.clone()).sub(bone.position);
+  const yaw = clamp(Math.atan2(dir.x, dir.z), -maxYaw, maxYaw);
+  const pitch = clamp(Math.atan2(-dir.y, Math.hypot(dir.x, dir.z)), -maxPitch, maxPitch);
+  bone.quaternion.copy(rest).multiply(new Quaternion().setFromEuler(new Euler(pitch, yaw, 0, "YXZ")));
+  bone.updateMatrixWorld(true);
+}
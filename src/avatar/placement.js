@@ -0,0 +1,123 @@
+/**
+ * Where the avatar stands. Its footprint is the SVG art box (ART_WIDTH ×
+ * ART_HEIGHT units × scale), docked in a bottom corner or at the middle of
+ * a side, or pinned wherever the user dropped it. On the right half of the
+ * screen the avatar is mirrored so it faces (and points) into the page.
+ *
+ * placement: { dock, left, top, scale, mirrored }
+ *   left/top - art box corner in viewport px; dock - a DOCKS entry or "pinned"
+ */
+export const ART_WIDTH = 320;
+export const ART_HEIGHT = 240;
+export const DOCKS = ["bottom-left", "bottom-right", "left", "right"];
+
+const MARGIN = 32;
+const MAX_SHARE = { width: 0.32, height: 0.45 }; // most of the viewport the avatar may take
+const MIN_SCALE = 0.8;
+const SWITCH_GAIN = 0.5; // only move if another dock covers at most half as much text
+const PIN_KEY = "vt.avatarPin";
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+export function viewportSize() {
+  return { width: window.innerWidth, height: window.innerHeight };
+}
+
+// The preferred scale, shrunk to fit small viewports
+export function fitScale(preferred, vp) {
+  const fit = Math.min((vp.width * MAX_SHARE.width) / ART_WIDTH, (vp.height * MAX_SHARE.height) / ART_HEIGHT);
+  return clamp(fit, Math.min(MIN_SCALE, preferred), preferred);
+}
+
+export function dockPlacement(dock, scale, vp) {
+  const w = ART_WIDTH * scale;
+  const h = ART_HEIGHT * scale;
+  const right = dock.endsWith("right");
+  return {
+    dock,
+    left: right ? vp.width - MARGIN - w : MARGIN,
+    top: dock.startsWith("bottom") ? vp.height - MARGIN - h : (vp.height - h) / 2,
+    scale,
+    mirrored: right
+  };
+}
+
+// Art box at left/top, kept on screen; mirrored on the right half
+export function freePlacement(left, top, scale, vp, dock = "pinned") {
+  const w = ART_WIDTH * scale;
+  const h = ART_HEIGHT * scale;
+  const x = clamp(left, 0, Math.max(0, vp.width - w));
+  const y = clamp(top, 0, Math.max(0, vp.height - h));
+  return { dock, left: x, top: y, scale, mirrored: x + w / 2 > vp.width / 2 };
+}
+
+// Area of `rects` ({ left, top, right, bottom }, viewport px) under the art box
+export function coveredArea(placement, rects) {
+  const box = {
+    left: placement.left,
+    top: placement.top,
+    right: placement.left + ART_WIDTH * placement.scale,
+    bottom: placement.top + ART_HEIGHT * placement.scale
+  };
+  let area = 0;
+  for (const r of rects) {
+    const w = Math.min(box.right, r.right) - Math.max(box.left, r.left);
+    const h = Math.min(box.bottom, r.bottom) - Math.max(box.top, r.top);
+    if (w > 0 && h > 0) area += w * h;
+  }
+  return area;
+}
+
+/**
+ * Dock that keeps `rects` (the lines about to be read) clear. Stays put
+ * unless the current dock covers text and another covers clearly less, so
+ * the avatar doesn't hop around.
+ */
+export function chooseDock(current, rects, scale, vp) {
+  const cost = (dock) => coveredArea(dockPlacement(dock, scale, vp), rects);
+  const now = cost(current);
+  if (now === 0) return current;
+
+  let best = current;
+  let bestCost = now;
+  for (const dock of DOCKS) {
+    const c = cost(dock);
+    if (c < bestCost) {
+      best = dock;
+      bestCost = c;
+    }
+  }
+  return bestCost <= now * SWITCH_GAIN ? best : current;
+}
+
+/**
+ * Pointer stick length limits for the viewport: a shorter minimum on small
+ * screens, and never longer than the screen diagonal.
+ */
+export function stickRange(vp) {
+  return {
+    min: clamp(Math.min(vp.width, vp.height) * 0.12, 40, 100),
+    max: clamp(Math.hypot(vp.width, vp.height), 300, 1600)
+  };
+}
+
+// Pin = art box corner as viewport fractions, so it survives resizes
+export function loadPin() {
+  try {
+    const pin = JSON.parse(localStorage.getItem(PIN_KEY) ?? "null");
+    return Number.isFinite(pin?.x) && Number.isFinite(pin?.y) ? { x: pin.x, y: pin.y } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function savePin(pin) {
+  try {
+    if (pin) localStorage.setItem(PIN_KEY, JSON.stringify(pin));
+    else localStorage.removeItem(PIN_KEY);
+  } catch {
+    // storage disabled: the pin lasts for this session only
+  }
+}
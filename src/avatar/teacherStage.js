@@ -0,0 +1,338 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { lookAtLimited, solveTwoBoneIK } from "./ik.js";
+import { VISEMES, planVisemes, visemeAt } from "../speech/visemes.js";
+import { ART_WIDTH, stickRange } from "./placement.js";
+import { createGesturePlayer } from "./gestures.js";
+
+/**
+ * WebGL stage for the 3D teacher: a transparent full-viewport canvas whose
+ * world units are CSS pixels (x right, y up, so screen (x, y) = world (x, -y)),
+ * with the rigged model standing where the SVG avatar would (same placement).
+ * Mirrored placements point with the other hand instead of flipping the model.
+ *
+ * createTeacherStage(container, { onError, onFrame }) -> stage
+ *   stage.load(url, feet) -> Promise (model loaded and animating); feet is
+ *                            where it stands in the art box (character anchor)
+ *   stage.update(state)   state: { target, active, paused, showStick, placement,
+ *                                  spokenWords, rate, gestures }
+ *
+ * A new `spokenWords` array (current word first) marks a word boundary: the
+ * lip-sync track restarts from it. A new `gestures` object ({ rules }, see
+ * gestures.js) plays its gestures.
+ *   stage.dispose()
+ *
+ * The stage only draws while something moves (speech, pointing, a gesture,
+ * a blink, walking to a new dock); in between it sleeps until the next blink
+ * or update.
+ *
+ * onError(err)  - the model failed to load or the WebGL context was lost
+ * onFrame(head) - after each render, with the head top in viewport coordinates
+ */
+const PX_PER_UNIT = 160; // model units -> px, × scale
+
+const STICK_RADIUS = 3.5;
+const TIP_RADIUS = 7;
+
+const FOLLOW = 12; // how fast the aim follows the target (1/s)
+const MOVE = 5; // how fast the avatar walks to a new dock (1/s)
+const RAISE = 6; // how fast the arm comes up / goes down (1/s)
+const MOUTH_EASE = 30; // how fast mouth shapes blend (1/s)
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+// Bones the stage drives; a model without them can't be posed
+const RIG_BONES = ["Spine", "Head", "UpperArm_L", "LowerArm_L", "Hand_L", "UpperArm_R", "LowerArm_R", "Hand_R"];
+
+function disposeTree(root) {
+  root.traverse((o) => {
+    o.geometry?.dispose();
+    for (const m of [o.material].flat()) m?.dispose();
+  });
+}
+
+export function createTeacherStage(container, { onError, onFrame } = {}) {
+  const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+  renderer.setClearColor(0x000000, 0);
+  renderer.domElement.className = "absolute inset-0 h-full w-full";
+  container.appendChild(renderer.domElement);
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.OrthographicCamera(0, 1, 0, -1, 1, 4000);
+  camera.position.z = 2000;
+
+  scene.add(new THREE.HemisphereLight(0xe2e8f0, 0x0f172a, 1.4));
+  const key = new THREE.DirectionalLight(0xffffff, 2.2);
+  key.position.set(-1, 1.2, 1.5);
+  scene.add(key);
+  const rim = new THREE.DirectionalLight(0x67e8f9, 1.2);
+  rim.position.set(1.5, 0.5, -1);
+  scene.add(rim);
+
+  // the pointer is scene-level (pixel sized), placed at the hand every frame
+  const stick = new THREE.Mesh(
+    new THREE.CylinderGeometry(STICK_RADIUS, STICK_RADIUS, 1, 12).translate(0, 0.5, 0),
+    new THREE.MeshStandardMaterial({ color: 0x22d3ee, emissive: 0x0891b2, roughness: 0.35 })
+  );
+  const tip = new THREE.Mesh(
+    new THREE.SphereGeometry(TIP_RADIUS, 16, 12),
+    new THREE.MeshStandardMaterial({ color: 0xfb7185, emissive: 0xbe123c, roughness: 0.3 })
+  );
+  stick.visible = tip.visible = false;
+  scene.add(stick, tip);
+
+  let state = {
+    target: null,
+    active: false,
+    paused: false,
+    showStick: false,
+    placement: null,
+    spokenWords: null,
+    rate: 1,
+    gestures: null
+  };
+  let rig = null;
+  let raf = 0;
+  let sleep = 0; // timer that wakes the idle stage for its next blink
+  let disposed = false;
+  let lastRender = 0;
+  let size = { width: 0, height: 0 };
+
+  const aim = new THREE.Vector3();
+  const stand = new THREE.Vector3(); // feet position, eased toward the placement
+  let standSeen = false;
+  let aimSeen = false;
+  let raised = 0; // 0 = arm at rest, 1 = pointing
+  let track = [];
+  let trackStart = 0;
+  let pausedAt = 0;
+  const gesturePlayer = createGesturePlayer();
+  const mouth = Object.fromEntries(VISEMES.map((name) => [name, 0])); // blended shape weights
+  let blinkUntil = 0;
+  let nextBlink = performance.now() + 2000;
+
+  // scratch vectors, reused every frame
+  const v = {};
+  for (const k of ["shoulder", "hand", "goal", "pole", "head", "look", "dir"]) v[k] = new THREE.Vector3();
+  const UP = new THREE.Vector3(0, 1, 0);
+
+  function resize() {
+    size = { width: window.innerWidth, height: window.innerHeight };
+    renderer.setSize(size.width, size.height, false);
+    camera.right = size.width;
+    camera.bottom = -size.height;
+    camera.updateProjectionMatrix();
+    wake();
+  }
+
+  // Draw again (from the next animation frame) if the loop is asleep
+  function wake() {
+    clearTimeout(sleep);
+    sleep = 0;
+    if (raf || !rig || disposed) return;
+    lastRender = 0;
+    raf = requestAnimationFrame(frame);
+  }
+
+  function onContextLost(e) {
+    e.preventDefault();
+    onError?.(new Error("WebGL context lost"));
+  }
+
+  function frame(now) {
+    raf = 0;
+    const { target, active, paused, showStick, placement } = state;
+    if (!placement) return; // update() wakes it with one
+    const { scale, mirrored } = placement;
+    const speaking = active && !paused;
+    const hasTarget = showStick && target?.x != null && target?.y != null;
+    const { feet } = rig;
+    const feetX = placement.left + (mirrored ? ART_WIDTH - feet.x : feet.x) * scale;
+    const feetY = -(placement.top + feet.y * scale);
+    const moving = Math.abs(stand.x - feetX) + Math.abs(stand.y - feetY) > 0.5;
+
+    const dt = Math.min((now - (lastRender || now)) / 1000, 0.1);
+    lastRender = now;
+    const t = now / 1000;
+    const { model, bones, rest, faces, armLength } = rig;
+    const arm = mirrored ? bones.right : bones.left;
+    const offArm = mirrored ? bones.left : bones.right;
+    const side = mirrored ? -1 : 1;
+
+    // placement (+ the float the SVG avatar does while speaking); dragged/pinned = no easing
+    if (standSeen && placement.dock !== "pinned") stand.lerp(v.goal.set(feetX, feetY, 0), 1 - Math.exp(-MOVE * dt));
+    else stand.set(feetX, feetY, 0);
+    standSeen = true;
+    const s = PX_PER_UNIT * scale;
+    const float = speaking ? Math.sin((t * Math.PI * 2) / 3.2) * 8 : 0;
+    model.position.set(stand.x, stand.y + float, 0);
+    model.scale.setScalar(s);
+    model.rotation.z = speaking ? Math.sin((t * Math.PI * 2) / 3.2) * 0.007 : 0;
+
+    // rest pose, breathing, relaxed off arm; body gestures (turn to the page, lean in)
+    const g = gesturePlayer.sample(now);
+    for (const [bone, q] of rest) bone.quaternion.copy(q);
+    bones.spine.rotateX(Math.sin(t * 1.7) * 0.015 + 0.06 * g.emphasize);
+    bones.spine.rotateY(0.35 * side * g.turnToBoard);
+    offArm.upper.rotateZ(-0.08 * side);
+    model.updateMatrixWorld(true);
+
+    // aim follows the target smoothly; the arm blends between rest and pointing
+    if (hasTarget) {
+      v.goal.set(target.x, -target.y, 0);
+      if (aimSeen) aim.lerp(v.goal, 1 - Math.exp(-FOLLOW * dt));
+      else aim.copy(v.goal);
+      aimSeen = true;
+    }
+    raised += ((hasTarget ? 1 : 0) - raised) * (1 - Math.exp(-RAISE * dt));
+    if (!hasTarget && raised < 0.002) {
+      raised = 0;
+      aimSeen = false;
+    }
+
+    if (raised > 0) {
+      const { min } = stickRange(size);
+      arm.upper.getWorldPosition(v.shoulder);
+      arm.hand.getWorldPosition(v.hand);
+      const reach = armLength * s;
+      v.dir.subVectors(aim, v.shoulder);
+      const d = v.dir.length();
+      v.dir.normalize();
+      v.goal.copy(v.shoulder).addScaledVector(v.dir, clamp(d - min, reach * 0.35, reach * 0.95));
+      v.goal.lerpVectors(v.hand, v.goal, raised);
+      v.pole.set(0.5 * s * side, -1 * s, -0.4 * s).add(v.shoulder); // elbow out, down and back
+      solveTwoBoneIK(arm.upper, arm.lower, arm.hand, v.goal, v.pole);
+
+      bones.head.getWorldPosition(v.head);
+      v.look.set(v.head.x, v.head.y, v.head.z + s);
+      v.goal.set(aim.x, aim.y, v.head.z + s * 1.2);
+      lookAtLimited(bones.head, rest.get(bones.head), v.look.lerp(v.goal, raised));
+    }
+
+    // head gestures on top of where it looks
+    bones.head.rotateY(0.3 * side * g.turnToBoard * (1 - raised));
+    bones.head.rotateX(0.22 * g.nod);
+    bones.head.rotateZ(-0.06 * side * g.emphasize);
+    bones.head.updateMatrixWorld(true);
+
+    stick.visible = tip.visible = hasTarget && raised > 0.5;
+    if (stick.visible) {
+      const { min, max } = stickRange(size);
+      arm.hand.getWorldPosition(v.hand);
+      v.dir.subVectors(aim, v.hand);
+      const length = clamp(v.dir.length(), min, max);
+      v.dir.normalize();
+      stick.position.copy(v.hand);
+      stick.quaternion.setFromUnitVectors(UP, v.dir);
+      stick.scale.set(1, length, 1);
+      tip.position.copy(v.hand).addScaledVector(v.dir, length);
+    }
+
+    // face: random blinks, mouth shapes from the lip-sync track
+    if (now > nextBlink) {
+      blinkUntil = now + 120;
+      nextBlink = now + 1500 + Math.random() * 2500;
+    }
+    const shape = speaking ? visemeAt(track, now - trackStart) : "closed";
+    const ease = 1 - Math.exp(-MOUTH_EASE * dt);
+    let mouthMoving = false;
+    for (const name of VISEMES) {
+      const goal = name === shape ? 1 : 0;
+      mouth[name] += (goal - mouth[name]) * ease;
+      if (Math.abs(goal - mouth[name]) > 0.01) mouthMoving = true;
+    }
+    for (const face of faces) {
+      const morph = face.morphTargetDictionary;
+      if (morph.blink != null) face.morphTargetInfluences[morph.blink] = now < blinkUntil ? 1 : 0;
+      if (morph.browsUp != null) face.morphTargetInfluences[morph.browsUp] = Math.max(g.raiseBrows, 0.35 * g.emphasize);
+      for (const name of VISEMES) if (morph[name] != null) face.morphTargetInfluences[morph[name]] = mouth[name];
+    }
+
+    renderer.render(scene, camera);
+
+    bones.head.getWorldPosition(v.head);
+    onFrame?.({ x: v.head.x, y: -(v.head.y + rig.headTop * s) });
+
+    const busy =
+      speaking || hasTarget || raised > 0 || moving || mouthMoving || now < blinkUntil || !gesturePlayer.idle();
+    if (busy) raf = requestAnimationFrame(frame);
+    else sleep = setTimeout(wake, Math.max(0, nextBlink - now));
+  }
+
+  async function load(url, feet) {
+    const gltf = await new GLTFLoader().loadAsync(url);
+    if (disposed) {
+      disposeTree(gltf.scene);
+      return;
+    }
+    const model = gltf.scene;
+    const missing = RIG_BONES.filter((name) => !model.getObjectByName(name));
+    if (missing.length) {
+      disposeTree(model);
+      throw new Error(`model has no ${missing.join(", ")} bone${missing.length > 1 ? "s" : ""}`);
+    }
+    // skinned bounds don't follow the bones: never cull
+    model.traverse((o) => {
+      if (o.isMesh) o.frustumCulled = false;
+    });
+    scene.add(model);
+
+    const bone = (name) => model.getObjectByName(name);
+    const bones = {
+      spine: bone("Spine"),
+      head: bone("Head"),
+      // the character's left arm is on the screen's right
+      left: { upper: bone("UpperArm_L"), lower: bone("LowerArm_L"), hand: bone("Hand_L") },
+      right: { upper: bone("UpperArm_R"), lower: bone("LowerArm_R"), hand: bone("Hand_R") }
+    };
+    const rest = new Map();
+    model.traverse((o) => {
+      if (o.isBone) rest.set(o, o.quaternion.clone());
+    });
+    // the face is optional: without it the model doesn't blink or lip-sync
+    const faces = [];
+    bone("Face")?.traverse((o) => {
+      if (o.morphTargetDictionary) faces.push(o);
+    });
+    // model units; the bind pose has no rotations
+    const armLength = bones.left.lower.position.length() + bones.left.hand.position.length();
+    const headTop = 0.25; // model units above the Head bone
+
+    rig = { model, bones, rest, faces, armLength, headTop, feet };
+    resize();
+  }
+
+  window.addEventListener("resize", resize);
+  renderer.domElement.addEventListener("webglcontextlost", onContextLost);
+  resize();
+
+  return {
+    load,
+    update(next) {
+      const now = performance.now();
+      if (next.spokenWords && next.spokenWords !== state.spokenWords) {
+        track = planVisemes(next.spokenWords, next.rate ?? state.rate);
+        trackStart = now;
+      }
+      if (next.gestures && next.gestures !== state.gestures) gesturePlayer.trigger(next.gestures.rules, now);
+      // the track doesn't advance while paused
+      if (next.paused && !state.paused) pausedAt = now;
+      if (!next.paused && state.paused && pausedAt) trackStart += now - pausedAt;
+      state = { ...state, ...next };
+      wake(); // render the change right away
+    },
+    dispose() {
+      disposed = true;
+      cancelAnimationFrame(raf);
+      clearTimeout(sleep);
+      window.removeEventListener("resize", resize);
+      renderer.domElement.removeEventListener("webglcontextlost", onContextLost);
+      disposeTree(scene);
+      renderer.dispose();
+      renderer.domElement.remove();
+    }
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Whether the 3D avatar should be used: needs WebGL on a real GPU. Software
+ * renderers (SwiftShader, llvmpipe, ...) technically work but would stall the
+ * page, so they count as unavailable and the SVG avatar is used instead.
+ */
+const SOFTWARE_RENDERER = /swiftshader|llvmpipe|softpipe|software|basic render|mesa offscreen/i;
+
+export function canRender3D() {
+  if (typeof document === "undefined") return false;
+  try {
+    const canvas = document.createElement("canvas");
+    const options = { failIfMajorPerformanceCaveat: true };
+    const gl = canvas.getContext("webgl2", options) ?? canvas.getContext("webgl", options);
+    if (!gl) return false;
+
+    const info = gl.getExtension("WEBGL_debug_renderer_info");
+    const renderer = String(gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER) ?? "");
+    gl.getExtension("WEBGL_lose_context")?.loseContext();
+    return !SOFTWARE_RENDERER.test(renderer);
+  } catch {
+    return false;
+  }
+}
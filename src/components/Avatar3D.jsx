@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createTeacherStage } from "../avatar/teacherStage.js";
+import { SpeechBubble, TargetMarker } from "./AvatarOverlays.jsx";
+import SvgAvatar from "./SvgAvatar.jsx";
+
+/**
+ * WebGL teacher: the rigged model aims its pointer at `target` (arm IK) and
+ * turns its head toward it. Shows the SVG avatar until the model is loaded,
+ * and calls onFail() if WebGL or the model fails (e.g. a rig without the
+ * stage's bones) so the caller can switch this character back to it. Same
+ * props as SvgAvatar, plus onFail; the model is `character.model`, read once
+ * (remount for another character).
+ */
+export default function Avatar3D({
+  target,
+  active = false,
+  paused = false,
+  showStick = false,
+  bubbleText = "",
+  spokenWords = null,
+  rate = 1,
+  gestures = null,
+  placement,
+  character,
+  label = "Virtual teacher pointer",
+  onFail
+}) {
+  const hostRef = useRef(null);
+  const bubbleRef = useRef(null);
+  const stageRef = useRef(null);
+  const failRef = useRef(onFail);
+  const characterRef = useRef(character);
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    failRef.current = onFail;
+  }, [onFail]);
+
+  useEffect(() => {
+    const fail = () => failRef.current?.();
+    let stage;
+    try {
+      stage = createTeacherStage(hostRef.current, {
+        onError: fail,
+        // the bubble rides above the head
+        onFrame: (head) => {
+          if (bubbleRef.current) bubbleRef.current.style.transform = `translate(${head.x}px, ${head.y}px)`;
+        }
+      });
+    } catch {
+      fail();
+      return;
+    }
+    stageRef.current = stage;
+    const { model, anchors } = characterRef.current;
+    stage.load(model, anchors.feet).then(() => setReady(true), fail);
+    return () => {
+      stageRef.current = null;
+      stage.dispose();
+    };
+  }, []);
+
+  useEffect(() => {
+    stageRef.current?.update({ target, active, paused, showStick, placement, spokenWords, rate, gestures });
+  }, [target, active, paused, showStick, placement, spokenWords, rate, gestures]);
+
+  return (
+    <>
+      {!ready && (
+        <SvgAvatar
+          target={target}
+          active={active}
+          paused={paused}
+          showStick={showStick}
+          bubbleText={bubbleText}
+          spokenWords={spokenWords}
+          rate={rate}
+          gestures={gestures}
+          placement={placement}
+          character={character}
+          label={label}
+        />
+      )}
+
+      <div
+        className={`fixed inset-0 z-50 pointer-events-none ${ready ? "" : "invisible"}`}
+        role={ready ? "img" : undefined}
+        aria-label={ready ? label : undefined}
+      >
+        <div ref={hostRef} className="absolute inset-0" aria-hidden="true" />
+
+        {showStick && <TargetMarker target={target} />}
+
+        <div ref={bubbleRef} className="absolute left-0 top-0" aria-hidden="true">
+          {(active || paused) && (
+            <SpeechBubble text={bubbleText} paused={paused} className={`bottom-2 w-max ${placement.mirrored ? "right-6" : "left-6"}`} />
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+
+/**
+ * HTML pieces shared by the SVG and 3D avatars.
+ */
+
+// Glowing dot on the word being pointed at (target in viewport coordinates)
+export function TargetMarker({ target }) {
+  if (target?.x == null || target?.y == null) return null;
+  return (
+    <div
+      className="absolute -translate-x-1/2 -translate-y-1/2"
+      style={{ left: target.x, top: target.y }}
+      aria-hidden="true"
+    >
+      <div className="h-3.5 w-3.5 rounded-full bg-cyan-300/90 border border-cyan-100/70 shadow-[0_0_22px_rgba(34,211,238,0.55)]" />
+    </div>
+  );
+}
+
+// Glass speech bubble; className positions it (it is absolutely placed)
+export function SpeechBubble({ text, paused, className = "" }) {
+  if (!text?.trim()) return null;
+  return (
+    <div
+      className={`absolute max-w-[260px] rounded-2xl border border-white/10 bg-white/5 backdrop-blur px-3 py-2 text-xs text-slate-100 shadow-[0_10px_30px_rgba(0,0,0,0.35)] ${className}`}
+    >
+      <div className="text-[11px] text-cyan-200/90 font-semibold">{paused ? "Paused" : "Teaching"}</div>
+      <div className="mt-0.5 text-slate-100/90 line-clamp-2">{text}</div>
+      <div className="absolute -bottom-2 left-7 h-3 w-3 rotate-45 border-b border-r border-white/10 bg-white/5" />
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+
+/**
+ * Saved places in the current document: a "resume where you left off" offer
+ * on reopening, and named bookmarks that jump back and continue reading.
+ */
+export default function BookmarksPanel({
+  ready,
+  bookmarks,
+  page,
+  resumeOffer,
+  onResume,
+  onDismissResume,
+  onAdd,
+  onOpen,
+  onRemove
+}) {
+  const [name, setName] = useState("");
+
+  const add = (e) => {
+    e.preventDefault();
+    onAdd(name.trim() || `Page ${page}`);
+    setName("");
+  };
+
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/30 p-3">
+      {resumeOffer && (
+        <div className="mb-3 rounded-lg border border-sky-500/30 bg-sky-500/10 p-2 text-xs text-sky-100">
+          <div>
+            You were on page <span className="font-semibold">{resumeOffer.lastPage}</span> last time.
+          </div>
+          <div className="mt-2 flex gap-2">
+            <button
+              className="rounded-lg bg-white px-2 py-1 font-semibold text-slate-950 hover:opacity-90"
+              onClick={onResume}
+            >
+              Resume where you left off
+            </button>
+            <button className="rounded-lg px-2 py-1 text-sky-200 hover:bg-sky-500/20" onClick={onDismissResume}>
+              Start over
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="text-sm text-slate-300">Bookmarks</div>
+      <form className="mt-1 flex gap-2" onSubmit={add}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={`Page ${page}`}
+          className="min-w-0 flex-1 rounded-lg border border-slate-700 bg-slate-950/30 p-1.5 text-xs"
+          aria-label="Bookmark name"
+          disabled={!ready}
+        />
+        <button
+          type="submit"
+          className="rounded-lg border border-slate-700 bg-slate-950/40 px-2 py-1 text-xs hover:bg-slate-950/60 disabled:opacity-50"
+          disabled={!ready}
+        >
+          + Add
+        </button>
+      </form>
+
+      {bookmarks.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {bookmarks.map((b) => (
+            <li key={b.id} className="flex items-center gap-2 text-xs">
+              <button
+                className="min-w-0 flex-1 truncate rounded px-1 py-0.5 text-left text-slate-300 hover:bg-slate-800 hover:text-white"
+                onClick={() => onOpen(b)}
+                title="Jump here and continue reading"
+              >
+                {b.name}
+              </button>
+              <span className="text-slate-600">p. {b.page}</span>
+              <button
+                className="rounded px-1 text-slate-500 hover:bg-slate-800 hover:text-slate-200"
+                onClick={() => onRemove(b)}
+                aria-label={`Remove bookmark ${b.name}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
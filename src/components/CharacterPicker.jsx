@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+
+const inputCls =
+  "min-w-0 flex-1 rounded-md border border-slate-700 bg-slate-950/30 px-2 py-1 text-xs";
+const btnCls =
+  "rounded-lg border border-slate-700 bg-slate-950/40 px-2 py-1 text-xs hover:bg-slate-950/60 disabled:opacity-50";
+
+/**
+ * Which character plays the teacher: the built-in ones plus any loaded from
+ * a manifest URL (see avatar/characters.js).
+ * characters: [{ id, name }], value: id, onChange(id), onLoad(url) -> Promise
+ */
+export default function CharacterPicker({ characters, value, onChange, onLoad }) {
+  const [url, setUrl] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await onLoad(url.trim());
+      setUrl("");
+      setError("");
+    } catch (err) {
+      setError(`Couldn't load the character: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm text-slate-300" htmlFor="character">
+        Teacher
+      </label>
+      <select
+        id="character"
+        className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-950/30 p-2 text-sm"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {characters.map((c) => (
+          <option key={c.id} value={c.id}>
+            {c.name}
+          </option>
+        ))}
+      </select>
+
+      <form className="mt-1 flex gap-1" onSubmit={onSubmit}>
+        <input
+          type="url"
+          className={inputCls}
+          placeholder="Character manifest URL (character.json)"
+          aria-label="Character manifest URL"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+        />
+        <button type="submit" className={btnCls} disabled={!url.trim() || loading}>
+          {loading ? "Loading…" : "Load"}
+        </button>
+      </form>
+      {error && <p className="mt-1 text-xs text-red-300">{error}</p>}
+    </div>
+  );
+}
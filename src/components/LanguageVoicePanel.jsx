@@ -0,0 +1,71 @@
+import React from "react";
+import { languageName, voicesForLang } from "../speech/language.js";
+
+/**
+ * Per-language voice preferences for the languages detected on the page.
+ * Warns when no installed voice covers a detected language.
+ */
+export default function LanguageVoicePanel({
+  languages,
+  voices,
+  prefs,
+  onChange,
+  enabled,
+  onToggle
+}) {
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/30 p-3">
+      <div className="flex items-start gap-3">
+        <input
+          id="autoVoice"
+          type="checkbox"
+          className="mt-1 h-4 w-4"
+          checked={enabled}
+          onChange={(e) => onToggle(e.target.checked)}
+        />
+        <div>
+          <label htmlFor="autoVoice" className="text-sm font-medium">
+            Auto voice per language
+          </label>
+          <p className="text-xs text-slate-400">
+            Detects the language of each paragraph and speaks it with a matching voice.
+          </p>
+        </div>
+      </div>
+
+      {enabled && languages.length > 0 && (
+        <div className="mt-3 space-y-2">
+          {languages.map((lang) => {
+            const matching = voicesForLang(voices, lang);
+            return (
+              <div key={lang}>
+                <label className="block text-xs text-slate-300" htmlFor={`voice-${lang}`}>
+                  {languageName(lang)} <span className="text-slate-500">({lang})</span>
+                </label>
+                {matching.length ? (
+                  <select
+                    id={`voice-${lang}`}
+                    className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-950/30 p-1.5 text-xs"
+                    value={prefs[lang] ?? ""}
+                    onChange={(e) => onChange({ ...prefs, [lang]: e.target.value })}
+                  >
+                    <option value="">Automatic</option>
+                    {matching.map((v) => (
+                      <option key={v.voiceURI} value={v.voiceURI}>
+                        {v.name} ({v.lang})
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <p className="mt-1 rounded-lg border border-amber-500/30 bg-amber-500/10 px-2 py-1 text-xs text-amber-200">
+                    No installed voice for this language; it will be read with the default voice.
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
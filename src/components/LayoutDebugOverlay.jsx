@@ -0,0 +1,33 @@
+import React from "react";
+import { createPortal } from "react-dom";
+
+/**
+ * Debug overlay: outlines each layout block on the page and numbers it in
+ * reading order. Rendered into the react-pdf page element so block rects
+ * (relative to the text layer) line up at any zoom or scroll position.
+ */
+export default function LayoutDebugOverlay({ blocks, container, active = false }) {
+  if (!active || !container || !blocks?.length) return null;
+
+  return createPortal(
+    <div className="pointer-events-none absolute inset-0 z-[3]" aria-hidden="true">
+      {blocks.map((b) => (
+        <div
+          key={b.id}
+          className="absolute rounded-sm border border-amber-400/80 bg-amber-300/10"
+          style={{
+            left: b.rect.left,
+            top: b.rect.top,
+            width: b.rect.right - b.rect.left,
+            height: b.rect.bottom - b.rect.top
+          }}
+        >
+          <span className="absolute -left-2 -top-2 min-w-[18px] rounded-full bg-amber-400 px-1 text-center text-[10px] font-bold leading-[18px] text-slate-950">
+            {b.id + 1}
+          </span>
+        </div>
+      ))}
+    </div>,
+    container
+  );
+}
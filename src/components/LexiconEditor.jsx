@@ -0,0 +1,118 @@
+import React, { useCallback, useRef, useState } from "react";
+import { DEFAULT_LEXICON, parseLexicon } from "../speech/lexicon.js";
+
+const inputCls =
+  "w-full rounded-md border border-slate-700 bg-slate-950/30 px-2 py-1 text-xs";
+const btnCls =
+  "rounded-lg border border-slate-700 bg-slate-950/40 px-2 py-1 text-xs hover:bg-slate-950/60";
+
+/**
+ * Collapsible editor for the pronunciation lexicon.
+ * entries: [{ match, say, regex?, caseSensitive? }], onChange(nextEntries)
+ */
+export default function LexiconEditor({ entries, onChange }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState("");
+
+  const update = (i, patch) =>
+    onChange(entries.map((e, k) => (k === i ? { ...e, ...patch } : e)));
+
+  const onImport = useCallback(
+    async (e) => {
+      const f = e.target.files?.[0];
+      e.target.value = "";
+      if (!f) return;
+      try {
+        const imported = parseLexicon(await f.text(), f.name);
+        if (!imported.length) throw new Error("No entries found");
+        // imported rules replace existing ones with the same match
+        const seen = new Set(imported.map((x) => x.match));
+        onChange([...entries.filter((x) => !seen.has(x.match)), ...imported]);
+        setError("");
+      } catch (err) {
+        setError(`Import failed: ${err.message}`);
+      }
+    },
+    [entries, onChange]
+  );
+
+  const onExport = useCallback(() => {
+    const blob = new Blob([JSON.stringify(entries, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "lexicon.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [entries]);
+
+  return (
+    <details className="rounded-xl border border-slate-800 bg-slate-950/30 p-3">
+      <summary className="cursor-pointer text-sm font-medium">
+        Pronunciation lexicon <span className="text-slate-500">({entries.length})</span>
+      </summary>
+      <p className="mt-2 text-xs text-slate-400">
+        Changes what the voice says; the highlight still follows the printed words.
+      </p>
+
+      <div className="mt-2 max-h-56 space-y-1 overflow-auto pr-1">
+        {entries.map((e, i) => (
+          <div key={i} className="grid grid-cols-[1fr_1fr_auto_auto] items-center gap-1">
+            <input
+              className={inputCls}
+              value={e.match}
+              placeholder="printed"
+              aria-label="Printed text"
+              onChange={(ev) => update(i, { match: ev.target.value })}
+            />
+            <input
+              className={inputCls}
+              value={e.say}
+              placeholder="spoken"
+              aria-label="Spoken text"
+              onChange={(ev) => update(i, { say: ev.target.value })}
+            />
+            <label className="flex items-center gap-1 text-[10px] text-slate-400" title="Regular expression">
+              <input
+                type="checkbox"
+                checked={!!e.regex}
+                onChange={(ev) => update(i, { regex: ev.target.checked })}
+              />
+              re
+            </label>
+            <button
+              className="px-1 text-xs text-slate-400 hover:text-red-300"
+              onClick={() => onChange(entries.filter((_, k) => k !== i))}
+              aria-label={`Remove rule ${e.match}`}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-2 flex flex-wrap gap-1">
+        <button className={btnCls} onClick={() => onChange([...entries, { match: "", say: "" }])}>
+          Add rule
+        </button>
+        <button className={btnCls} onClick={() => fileRef.current?.click()}>
+          Import JSON/CSV
+        </button>
+        <button className={btnCls} onClick={onExport}>
+          Export
+        </button>
+        <button className={btnCls} onClick={() => onChange(DEFAULT_LEXICON)}>
+          Reset
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          className="hidden"
+          onChange={onImport}
+        />
+      </div>
+      {error && <p className="mt-1 text-xs text-red-300">{error}</p>}
+    </details>
+  );
+}
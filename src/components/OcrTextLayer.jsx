@@ -0,0 +1,47 @@
+import React, { useLayoutEffect, useRef } from "react";
+
+/**
+ * Invisible text layer for a scanned page, built from OCR word boxes (page
+ * coordinates, see recognizePage). Rendered inside a react-pdf <Page> with
+ * the same classes as its text layer, so word extraction, highlighting,
+ * click-to-read and selection treat OCR words like real PDF text.
+ */
+export default function OcrTextLayer({ words, scale, onReady }) {
+  const ref = useRef(null);
+
+  // stretch each word to its box width, like pdf.js does for its own spans
+  useLayoutEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    for (const span of el.children) {
+      span.style.transform = "";
+      const natural = span.getBoundingClientRect().width;
+      const target = Number(span.dataset.width);
+      if (natural > 0 && target > 0) span.style.transform = `scaleX(${target / natural})`;
+    }
+    onReady?.(el);
+  }, [words, scale, onReady]);
+
+  return (
+    <div ref={ref} className="textLayer react-pdf__Page__textContent ocrTextLayer">
+      {words.map((w, i) => {
+        const height = (w.rect.bottom - w.rect.top) * scale;
+        return (
+          <span
+            key={i}
+            data-width={(w.rect.right - w.rect.left) * scale}
+            style={{
+              left: w.rect.left * scale,
+              top: w.rect.top * scale,
+              fontSize: height,
+              fontFamily: "sans-serif",
+              transformOrigin: "0 0"
+            }}
+          >
+            {w.text}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React from "react";
+
+/**
+ * Collapsible table of contents built from the PDF outline (or detected
+ * headings). Clicking a title jumps to it; "Read" narrates that section.
+ */
+export default function OutlineSidebar({
+  contents,
+  page,
+  readingId = null,
+  open,
+  onToggle,
+  onJump,
+  onRead
+}) {
+  const entries = contents?.entries ?? [];
+
+  // entry the current page falls under
+  let currentId = null;
+  for (const e of entries) {
+    if (e.page <= page) currentId = e.id;
+  }
+
+  if (!open) {
+    return (
+      <button
+        className="self-start rounded-xl border border-slate-700 bg-slate-950/40 px-2 py-3 text-xs text-slate-300 hover:bg-slate-950/60 [writing-mode:vertical-rl]"
+        onClick={() => onToggle(true)}
+        aria-label="Show table of contents"
+      >
+        Contents
+      </button>
+    );
+  }
+
+  return (
+    <aside className="flex max-h-[70vh] w-64 shrink-0 flex-col rounded-xl border border-slate-800 bg-slate-950/30">
+      <div className="flex items-center justify-between border-b border-slate-800 px-3 py-2">
+        <div>
+          <div className="text-sm font-semibold">Contents</div>
+          <div className="text-[11px] text-slate-500">
+            {contents == null
+              ? "Reading document…"
+              : contents.source === "outline"
+                ? "From the PDF outline"
+                : "Detected headings"}
+          </div>
+        </div>
+        <button
+          className="rounded-lg px-2 py-1 text-xs text-slate-400 hover:bg-slate-800 hover:text-slate-200"
+          onClick={() => onToggle(false)}
+          aria-label="Hide table of contents"
+        >
+          ✕
+        </button>
+      </div>
+
+      <nav className="flex-1 overflow-auto py-1" aria-label="Table of contents">
+        {contents != null && entries.length === 0 && (
+          <p className="px-3 py-2 text-xs text-slate-500">No outline or headings found.</p>
+        )}
+        {entries.map((e) => (
+          <div
+            key={e.id}
+            className={`group flex items-center gap-1 pr-2 ${
+              e.id === currentId ? "bg-slate-800/60" : ""
+            }`}
+            style={{ paddingLeft: 8 + (e.level - 1) * 12 }}
+          >
+            <button
+              className="min-w-0 flex-1 truncate py-1 text-left text-xs text-slate-300 hover:text-white"
+              onClick={() => onJump(e)}
+              title={e.title}
+            >
+              {e.title}
+            </button>
+            <span className="text-[10px] text-slate-600">{e.page}</span>
+            <button
+              className={`rounded px-1.5 py-0.5 text-[10px] ${
+                readingId === e.id
+                  ? "bg-emerald-500/20 text-emerald-200"
+                  : "text-slate-500 opacity-0 hover:bg-slate-800 hover:text-slate-200 group-hover:opacity-100 focus:opacity-100"
+              }`}
+              onClick={() => onRead(e)}
+              aria-label={`Read section: ${e.title}`}
+            >
+              {readingId === e.id ? "Reading" : "Read"}
+            </button>
+          </div>
+        ))}
+      </nav>
+    </aside>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Page } from "react-pdf";
+import OcrTextLayer from "./OcrTextLayer.jsx";
+
+// How far outside the scroll viewport pages stay mounted (share of its height)
+const MOUNT_MARGIN = "75% 0px";
+const DEFAULT_SIZE = { width: 612, height: 792 }; // US Letter, until the real size loads
+
+function StackPage({ pageNumber, scale, ocrWords, onTextLayer, onAnnotationLayer, onHidden }) {
+  const ref = useRef(null);
+  const pdfTextRef = useRef({}); // { page, textContent } for boldSpans
+  const onOcrLayer = useCallback((el) => onTextLayer(pageNumber, el), [pageNumber, onTextLayer]);
+
+  // text layer goes away with the page: drop its word map
+  useEffect(() => () => onHidden(pageNumber), [pageNumber, onHidden]);
+
+  return (
+    <div ref={ref}>
+      <Page
+        pageNumber={pageNumber}
+        scale={scale}
+        renderTextLayer={true}
+        renderAnnotationLayer={true}
+        onLoadSuccess={(page) => (pdfTextRef.current = { page })}
+        onGetTextSuccess={(textContent) => (pdfTextRef.current = { ...pdfTextRef.current, textContent })}
+        onRenderTextLayerSuccess={() => {
+          const textLayer = ref.current?.querySelector(".react-pdf__Page__textContent");
+          if (textLayer) onTextLayer(pageNumber, textLayer, pdfTextRef.current);
+        }}
+        onRenderAnnotationLayerSuccess={() => {
+          const pageEl = ref.current?.querySelector(".react-pdf__Page");
+          if (pageEl) onAnnotationLayer?.(pageNumber, pageEl);
+        }}
+      >
+        {ocrWords && <OcrTextLayer words={ocrWords} scale={scale} onReady={onOcrLayer} />}
+      </Page>
+    </div>
+  );
+}
+
+/**
+ * Continuous vertical view of the whole document. Every page gets a
+ * placeholder of its real size so the scroll height is stable, but only pages
+ * near the viewport (plus `keepPages`, e.g. the page being read and the next
+ * one) mount a canvas and text layer.
+ *
+ * ocrPages               - { [n]: { words } } OCR results for scanned pages
+ * onVisiblePage(n)       - page under the middle of the scroll viewport
+ * onTextLayer(n, el, pdfText) - text layer (or OCR layer) of page n finished
+ *                        rendering; pdfText: { page, textContent } from pdf.js
+ * onAnnotationLayer(n, el) - links of page n rendered (el = page element)
+ * onPageHidden(n)        - page n unmounted (its text layer is gone)
+ *
+ * Must be rendered inside react-pdf's <Document>.
+ */
+export default function PdfPageStack({
+  pdf,
+  numPages,
+  scale,
+  scrollRoot,
+  keepPages = [],
+  ocrPages = {},
+  onVisiblePage,
+  onTextLayer,
+  onAnnotationLayer,
+  onPageHidden
+}) {
+  const [sizes, setSizes] = useState({}); // page -> { width, height } at scale 1
+  const [nearby, setNearby] = useState(() => new Set([1]));
+  const listRef = useRef(null);
+
+  // Real page sizes (pages can differ, e.g. landscape inserts)
+  useEffect(() => {
+    if (!pdf) return;
+    let cancelled = false;
+    (async () => {
+      const next = {};
+      for (let n = 1; n <= pdf.numPages; n++) {
+        try {
+          const p = await pdf.getPage(n);
+          const { width, height } = p.getViewport({ scale: 1 });
+          next[n] = { width, height };
+        } catch {
+          // keep the fallback size
+        }
+        if (cancelled) return;
+        if (n === 1 || n % 20 === 0 || n === pdf.numPages) setSizes({ ...next });
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf]);
+
+  // Track which placeholders are near the viewport
+  useEffect(() => {
+    const root = scrollRoot;
+    const list = listRef.current;
+    if (!root || !list) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        setNearby((prev) => {
+          const next = new Set(prev);
+          for (const e of entries) {
+            const n = Number(e.target.dataset.stackPage);
+            if (e.isIntersecting) next.add(n);
+            else next.delete(n);
+          }
+          return next;
+        });
+      },
+      { root, rootMargin: MOUNT_MARGIN }
+    );
+    for (const el of list.children) observer.observe(el);
+    return () => observer.disconnect();
+  }, [scrollRoot, numPages]);
+
+  // Report the page in the middle of the viewport
+  useEffect(() => {
+    const root = scrollRoot;
+    const list = listRef.current;
+    if (!root || !list) return;
+
+    let raf = 0;
+    const update = () => {
+      cancelAnimationFrame(raf);
+      raf = requestAnimationFrame(() => {
+        const box = root.getBoundingClientRect();
+        const mid = box.top + box.height / 2;
+        for (const el of list.children) {
+          const r = el.getBoundingClientRect();
+          if (r.top <= mid && r.bottom >= mid) {
+            onVisiblePage(Number(el.dataset.stackPage));
+            return;
+          }
+        }
+      });
+    };
+
+    root.addEventListener("scroll", update, { passive: true });
+    return () => {
+      root.removeEventListener("scroll", update);
+      cancelAnimationFrame(raf);
+    };
+  }, [scrollRoot, onVisiblePage]);
+
+  const fallback = sizes[1] ?? DEFAULT_SIZE;
+
+  return (
+    <div ref={listRef} className="flex flex-col items-center gap-4">
+      {Array.from({ length: numPages ?? 0 }, (_, i) => {
+        const n = i + 1;
+        const size = sizes[n] ?? fallback;
+        const mounted = nearby.has(n) || keepPages.includes(n);
+        return (
+          <div
+            key={n}
+            data-stack-page={n}
+            className="relative bg-slate-900/40"
+            style={{ width: size.width * scale, minHeight: size.height * scale }}
+          >
+            {mounted ? (
+              <StackPage
+                pageNumber={n}
+                scale={scale}
+                ocrWords={ocrPages[n]?.words}
+                onTextLayer={onTextLayer}
+                onAnnotationLayer={onAnnotationLayer}
+                onHidden={onPageHidden}
+              />
+            ) : (
+              <div className="absolute inset-0 grid place-items-center text-xs text-slate-600">
+                Page {n}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
@@ -1,136 +1,356 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Document, Page, pdfjs } from "react-pdf";
+import { Document, Page } from "react-pdf";
 import AvatarPointer from "./AvatarPointer.jsx";
 import WordHighlightOverlay from "./WordHighlightOverlay.jsx";
-
-// IMPORTANT for Vite: set pdf.js worker
-pdfjs.GlobalWorkerOptions.workerSrc = new URL(
-  "pdfjs-dist/build/pdf.worker.min.mjs",
-  import.meta.url
-).toString();
+import LayoutDebugOverlay from "./LayoutDebugOverlay.jsx";
+import LexiconEditor from "./LexiconEditor.jsx";
+import LanguageVoicePanel from "./LanguageVoicePanel.jsx";
+import SkippedLinesOverlay from "./SkippedLinesOverlay.jsx";
+import PdfPageStack from "./PdfPageStack.jsx";
+import OutlineSidebar from "./OutlineSidebar.jsx";
+import SearchPanel from "./SearchPanel.jsx";
+import ReadingRangePanel from "./ReadingRangePanel.jsx";
+import BookmarksPanel from "./BookmarksPanel.jsx";
+import OcrTextLayer from "./OcrTextLayer.jsx";
+import CharacterPicker from "./CharacterPicker.jsx";
+import SourceDocumentView from "./SourceDocumentView.jsx";
+import { boldSpans, extractWordSegments } from "../pdf/textLayer.js";
+import { detectRunningText, findFurnitureLines } from "../pdf/runningText.js";
+import { findEntryLine, loadContents, resolveDest, sectionEnd } from "../pdf/outline.js";
+import { createLinkRewrite, linkedWords, readLinkAreas } from "../pdf/links.js";
+import {
+  buildSearchIndex,
+  buildTextSearchIndex,
+  closestSegmentMatch,
+  findSegmentMatches,
+  searchDocument
+} from "../pdf/search.js";
+import { selectionRange } from "../pdf/readingRange.js";
+import {
+  addBookmark,
+  fingerprintDocument,
+  loadDocumentRecord,
+  removeBookmark,
+  saveProgress
+} from "../pdf/progress.js";
+import { DEFAULT_SPEECH_ENGINE, getSpeechEngine, listSpeechEngines } from "../speech/index.js";
+import { DEFAULT_OCR_PROVIDER, getOcrProvider, listOcrProviders, recognizePage } from "../ocr/index.js";
+import {
+  extractDomSegments,
+  fetchDocumentFile,
+  findDocumentSource,
+  listDocumentSources,
+  loadDocumentSource
+} from "../sources/index.js";
+import { readDeepLink, urlFileName, writeDeepLink } from "../deepLink.js";
+import { DEFAULT_GESTURE_MAP, gesturesFor, loadGestureMap, wordFeatures } from "../avatar/gestures.js";
+import {
+  characterUrlId,
+  getCharacter,
+  hasCharacter,
+  listCharacters,
+  loadCharacter,
+  loadCharacterChoice,
+  saveCharacterChoice
+} from "../avatar/characters.js";
+import { startNarration } from "../speech/narration.js";
+import { buildSpeechChunks, composeRewrites, sentenceStartIndices } from "../speech/speechPlan.js";
+import { compileLexicon, loadLexicon, saveLexicon } from "../speech/lexicon.js";
+import { createMathRewrite } from "../speech/mathSpeech.js";
+import {
+  detectSegmentLanguages,
+  languageName,
+  loadVoicePrefs,
+  pickVoiceURI,
+  saveVoicePrefs
+} from "../speech/language.js";
 
 function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
 }
 
-function binarySearchWordIndex(starts, charIndex) {
-  // greatest i where starts[i] <= charIndex
-  let lo = 0,
-    hi = starts.length - 1,
-    ans = 0;
-  while (lo <= hi) {
-    const mid = (lo + hi) >> 1;
-    if (starts[mid] <= charIndex) {
-      ans = mid;
-      lo = mid + 1;
-    } else {
-      hi = mid - 1;
-    }
-  }
-  return ans;
-}
-
-function getFirstTextNode(el) {
-  for (const n of el.childNodes) {
-    if (n.nodeType === Node.TEXT_NODE) return n;
-  }
-  return null;
-}
+const PROGRESS_SAVE_MS = 1500; // at most one progress write per interval
+const URL_UPDATE_MS = 1000; // address bar updates while reading (browsers rate-limit them)
+const RATE_MIN = 0.6;
+const RATE_MAX = 1.4;
+const LIP_SYNC_LOOKAHEAD = 4; // upcoming words the avatar's mouth may run on into
+const AVOID_LOOKAHEAD = 40; // upcoming words the avatar keeps clear of
 
 /**
- * Build a word-level map from react-pdf TextLayer spans:
- * each word: { index, word, spanEl, textNode, startOffset, endOffset }
+ * Find the segment under a click in the text layer.
+ * Uses the caret position when available, else the first word of the span.
  */
-function extractWordSegments(textLayerEl) {
-  const segments = [];
-  const spans = Array.from(textLayerEl.querySelectorAll("span"));
-
-  let index = 0;
-  for (const span of spans) {
-    const textNode = getFirstTextNode(span);
-    if (!textNode) continue;
-
-    const s = textNode.textContent ?? "";
-    if (!/\S/.test(s)) continue;
-
-    const re = /\S+/g;
-    let m;
-    while ((m = re.exec(s)) !== null) {
-      const word = m[0];
-      const startOffset = m.index;
-      const endOffset = startOffset + word.length;
-
-      segments.push({
-        index,
-        word,
-        spanEl: span,
-        textNode,
-        startOffset,
-        endOffset
-      });
-      index++;
-    }
+function segmentAtPoint(segments, x, y, spanEl) {
+  let node = null;
+  let offset = -1;
+  if (document.caretPositionFromPoint) {
+    const pos = document.caretPositionFromPoint(x, y);
+    node = pos?.offsetNode ?? null;
+    offset = pos?.offset ?? -1;
+  } else if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    node = range?.startContainer ?? null;
+    offset = range?.startOffset ?? -1;
+  }
+
+  const frags = (s) => s.fragments ?? [s];
+  if (node && offset >= 0) {
+    const hit = segments.find((s) =>
+      frags(s).some(
+        (f) => f.textNode === node && offset >= f.startOffset && offset <= f.endOffset
+      )
+    );
+    if (hit) return hit;
   }
-  return segments;
+  return segments.find((s) => frags(s).some((f) => f.spanEl === spanEl)) ?? null;
 }
 
-function rectForSegment(seg) {
+function rectForFragment(frag) {
   // Prefer a precise range rect
   try {
     const range = document.createRange();
-    range.setStart(seg.textNode, seg.startOffset);
-    range.setEnd(seg.textNode, seg.endOffset);
+    range.setStart(frag.textNode, frag.startOffset);
+    range.setEnd(frag.textNode, frag.endOffset);
     const r = range.getBoundingClientRect();
     if (typeof range.detach === "function") range.detach();
 
     // Sometimes rect can be 0x0 due to layout timing; fallback to span rect
     if (!r || (r.width === 0 && r.height === 0)) {
-      return seg.spanEl.getBoundingClientRect();
+      return frag.spanEl.getBoundingClientRect();
     }
     return r;
   } catch {
-    return seg.spanEl.getBoundingClientRect();
+    return frag.spanEl.getBoundingClientRect();
+  }
+}
+
+// One rect per visual piece (a hyphenated word has two)
+function rectsForSegment(seg) {
+  return (seg.fragments ?? [seg])
+    .map(rectForFragment)
+    .filter((r) => r && !(r.width === 0 && r.height === 0));
+}
+
+// Viewport rects of the lines holding segs[from..from+count) (one per line)
+function lineRects(segs, from, count) {
+  const lines = new Map();
+  for (const seg of segs.slice(from, from + count)) {
+    for (const r of rectsForSegment(seg)) {
+      const u = lines.get(seg.line);
+      lines.set(
+        seg.line,
+        u
+          ? {
+              left: Math.min(u.left, r.left),
+              top: Math.min(u.top, r.top),
+              right: Math.max(u.right, r.right),
+              bottom: Math.max(u.bottom, r.bottom)
+            }
+          : { left: r.left, top: r.top, right: r.right, bottom: r.bottom }
+      );
+    }
+  }
+  return [...lines.values()];
+}
+
+// Highlight box around a word rect (with small padding)
+function padRect(q, pad = 2) {
+  return {
+    left: q.left - pad,
+    top: q.top - pad,
+    width: clamp(q.width + pad * 2, 6, 2000),
+    height: clamp(q.height + pad * 2, 10, 2000)
+  };
+}
+
+const NO_PAGE = {
+  segments: [],
+  blocks: [],
+  lines: [],
+  furnitureLines: [],
+  languages: { page: null, blocks: new Map() },
+  pageEl: null
+};
+
+// Word map + layout of a rendered text layer, tagged with its page number.
+// Scanned pages read their OCR layer instead (react-pdf's one is empty);
+// reflowed documents (see sources/) are read from their HTML. pdfText
+// ({ page, textContent } from pdf.js) tells which words are bold.
+function readTextLayer(textLayer, pdfText) {
+  const pageEl = textLayer.closest(".react-pdf__Page");
+  const pageNumber = Number(pageEl?.dataset.pageNumber);
+  const layer = pageEl?.querySelector(".ocrTextLayer") ?? textLayer;
+  const { segments, blocks, lines, height } = layer.classList.contains("docText")
+    ? extractDomSegments(layer)
+    : extractWordSegments(layer, { bold: boldSpans(layer, pdfText) });
+  for (const s of segments) s.page = pageNumber;
+  return { pageNumber, text: { segments, blocks, lines, height, pageEl } };
+}
+
+// Continuous view: placeholder element of page n
+function stackPageEl(scrollEl, n) {
+  return scrollEl?.querySelector(`[data-stack-page="${n}"]`) ?? null;
+}
+
+// Bring the point `yRatio` down page element `el` to the top of the scroll area
+function scrollToPageY(scrollEl, el, yRatio = 0, behavior = "smooth") {
+  if (!scrollEl || !el) return;
+  const box = el.getBoundingClientRect();
+  const top =
+    box.top - scrollEl.getBoundingClientRect().top + scrollEl.scrollTop + box.height * yRatio;
+  scrollEl.scrollTo({ top: top - 8, behavior });
+}
+
+// First word of the line where outline `entry` starts on a rendered page
+function entryStartIndex(view, entry) {
+  const id = findEntryLine(view.lines, view.height, entry);
+  if (id == null) return null;
+  const i = view.segments.findIndex((s) => s.line === id);
+  return i >= 0 ? i : null;
+}
+
+// Continuous view: scroll just enough to keep the spoken word comfortably visible
+function keepInView(scrollEl, rect) {
+  if (!scrollEl || !rect) return;
+  const box = scrollEl.getBoundingClientRect();
+  const margin = box.height * 0.2;
+  if (rect.top < box.top + margin || rect.bottom > box.bottom - margin) {
+    scrollEl.scrollBy({ top: rect.top - (box.top + box.height / 3), behavior: "smooth" });
   }
 }
 
 export default function PdfTeacher() {
-  const [pdfUrl, setPdfUrl] = useState("/sample.pdf");
+  // lesson link (?src=…&page=…&word=…), read once on open
+  const [link] = useState(readDeepLink);
+  // non-PDF link targets are fetched and opened as a source (see below)
+  const [pdfUrl, setPdfUrl] = useState(() =>
+    !link.src ? "/sample.pdf" : findDocumentSource({ name: urlFileName(link.src) }) ? null : link.src
+  );
+  const [pdfDoc, setPdfDoc] = useState(null);
+  const [docName, setDocName] = useState(() => (link.src ? urlFileName(link.src) : "sample.pdf"));
+  const [docSrc, setDocSrc] = useState(link.src); // shareable URL of the open document, if any
+  // a non-PDF document (EPUB, HTML, Markdown, text) shown instead of the PDF
+  const [source, setSource] = useState(null);
+  const [sourceError, setSourceError] = useState(null);
   const [numPages, setNumPages] = useState(null);
-  const [page, setPage] = useState(1);
+  const [page, setPage] = useState(() => link.page ?? 1);
   const [scale, setScale] = useState(1.25);
+  const [viewMode, setViewMode] = useState("single"); // single | continuous
 
   // speech controls
-  const [rate, setRate] = useState(1.0);
+  const [engineId, setEngineId] = useState(DEFAULT_SPEECH_ENGINE);
+  const [rate, setRate] = useState(() => (link.rate != null ? clamp(link.rate, RATE_MIN, RATE_MAX) : 1.0));
   const [pitch, setPitch] = useState(1.0);
   const [voiceURI, setVoiceURI] = useState("");
+  const [lexicon, setLexicon] = useState(loadLexicon);
+  const [readMath, setReadMath] = useState(true);
+  const [autoVoice, setAutoVoice] = useState(true);
+  const [voicePrefs, setVoicePrefs] = useState(loadVoicePrefs);
+  const [readFurniture, setReadFurniture] = useState(false); // headers/footers/page numbers
+  const [announceLinks, setAnnounceLinks] = useState(true);
+  const [ocrEnabled, setOcrEnabled] = useState(true); // recognize scanned pages
+  const [ocrProviderId, setOcrProviderId] = useState(DEFAULT_OCR_PROVIDER);
 
   // NEW: auto-advance toggles
   const [autoPageTurn, setAutoPageTurn] = useState(true);
   const [autoContinue, setAutoContinue] = useState(false);
 
   const [status, setStatus] = useState("idle"); // idle | speaking | paused
-  const utterRef = useRef(null);
+  const engine = useMemo(() => getSpeechEngine(engineId), [engineId]);
+  const ocrProvider = useMemo(() => getOcrProvider(ocrProviderId), [ocrProviderId]);
+
+  // current narration (chunk queue) controller: { pause, resume, cancel }
+  const narrationRef = useRef(null);
+  const [chunkInfo, setChunkInfo] = useState(null); // { index, total, lang }
+
+  // word sync source: "boundary" (engine events) | "estimated" (timing model)
+  const [wordSync, setWordSync] = useState("boundary");
+  // timing-model calibration + engine|voice combos known to skip onboundary
+  const wordSyncStateRef = useRef({ calibration: 1, noBoundaryKeys: new Set() });
 
   // mapping
   const pageWrapRef = useRef(null);
+  const pdfTextRef = useRef({}); // single view: { page, textContent } of the shown page
   const scrollAreaRef = useRef(null);
+  const [scrollEl, setScrollEl] = useState(null);
+  const scrollAreaCallbackRef = useCallback((el) => {
+    scrollAreaRef.current = el;
+    setScrollEl(el);
+  }, []);
 
-  const [segments, setSegments] = useState([]);
-  const [wordStarts, setWordStarts] = useState([]);
+  // rendered text layers by page number: { segments, blocks, lines, height, pageEl }
+  const [pageTexts, setPageTexts] = useState({});
+  const [linkAreas, setLinkAreas] = useState({}); // page -> link annotation areas
+  // OCR of pages without a text layer: page -> { status, progress, words, error }
+  const [ocrPages, setOcrPages] = useState({});
+  const ocrJobsRef = useRef(new Set()); // pages OCR was started for (this document)
+  const [runningText, setRunningText] = useState(null); // repeated margin lines of the document
+  const [contents, setContents] = useState(null); // { source, entries } for the sidebar
+  const [tocOpen, setTocOpen] = useState(true);
+
+  // reading range (section, page range, selection): { end, label } where
+  // end = { page, locate(pageView) -> index | null } (exclusive; null index =
+  // end of that page) and end null = end of the document
+  const rangeRef = useRef(null);
+  // where the next reading of a page begins: { page, locate(pageView) -> index | null }
+  const startAtRef = useRef(null);
+  const [activeRange, setActiveRange] = useState(null); // { label, sectionId }
+  const [completedRange, setCompletedRange] = useState(null); // { label }
+  const [textSelection, setTextSelection] = useState(null); // selectionRange() of the page text
+
+  // saved progress + bookmarks, keyed by the document's content fingerprint
+  const [docId, setDocId] = useState(null);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [resumeOffer, setResumeOffer] = useState(null); // saved record, offered on reopen
+  const progressTimerRef = useRef(0);
+  const urlTimerRef = useRef(0);
+  const urlStateRef = useRef(null); // latest { src, rate } for the address bar
+  const linkReplacedRef = useRef(false); // a local document took the lesson link's place
+  const pendingScrollRef = useRef(null); // single view: yRatio to scroll to once the page renders
+  const fileUrlRef = useRef(null); // object URL of the PDF file the user opened, if any
+
+  // whole-document search
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchIndex, setSearchIndex] = useState(null);
+  const [searchProgress, setSearchProgress] = useState(null); // { done, total }
+  const [activeResultId, setActiveResultId] = useState(null);
+  const [searchRects, setSearchRects] = useState([]);
+  const [showLayout, setShowLayout] = useState(false);
   const [currentWordIndex, setCurrentWordIndex] = useState(-1);
+  const [currentWordEnd, setCurrentWordEnd] = useState(-1); // last segment of the spoken unit
+  const [avoidRects, setAvoidRects] = useState([]); // lines ahead, for avatar placement
+  const [gestureMap, setGestureMap] = useState(DEFAULT_GESTURE_MAP);
+  const [gestureCue, setGestureCue] = useState(null); // { rules } for the word just reached
+  // a lesson link's character is used for this visit only; picks are saved
+  const [characterId, setCharacterId] = useState(() =>
+    link.character ? characterUrlId(link.character) : loadCharacterChoice()
+  );
+  const [characters, setCharacters] = useState(listCharacters);
+  const character = characters.find((c) => c.id === characterId) ?? getCharacter(characterId);
+  const lastWordIndexRef = useRef(-1); // survives onend, for sentence jumps
 
   // overlay target + highlight
   const [target, setTarget] = useState(null);
-  const [highlightRect, setHighlightRect] = useState(null);
+  const [highlightRects, setHighlightRects] = useState([]);
 
   // auto-continue handshake (wait until next page words exist)
   const [pendingAutoSpeak, setPendingAutoSpeak] = useState(false);
+  // where a lesson link starts reading, until that page has rendered
+  const pendingLinkRef = useRef(
+    link.page != null || link.word != null || link.autoplay
+      ? { page: link.page ?? 1, word: link.word ?? 0, autoplay: link.autoplay }
+      : null
+  );
+  const [linkPrompt, setLinkPrompt] = useState(null); // { page, index }: autoplay needs a click
+  const [dragOver, setDragOver] = useState(false);
 
   // Refs to avoid stale closure inside utter.onend
   const pageRef = useRef(page);
   const numPagesRef = useRef(numPages);
   const autoPageTurnRef = useRef(autoPageTurn);
   const autoContinueRef = useRef(autoContinue);
+  const viewModeRef = useRef(viewMode);
+  const statusRef = useRef(status);
 
   useEffect(() => {
     pageRef.current = page;
@@ -148,83 +368,163 @@ export default function PdfTeacher() {
     autoContinueRef.current = autoContinue;
   }, [autoContinue]);
 
-  const voices = useMemo(() => {
-    if (typeof window === "undefined") return [];
-    return window.speechSynthesis?.getVoices?.() ?? [];
-  }, []);
-
-  // Some browsers load voices async; update on voiceschanged
-  const [, forceRerender] = useState(0);
   useEffect(() => {
-    const synth = window.speechSynthesis;
-    if (!synth) return;
-    const handler = () => forceRerender((x) => x + 1);
-    synth.addEventListener?.("voiceschanged", handler);
-    return () => synth.removeEventListener?.("voiceschanged", handler);
-  }, []);
+    viewModeRef.current = viewMode;
+  }, [viewMode]);
 
-  const selectedVoice = useMemo(() => {
-    if (!voices.length) return null;
-    if (!voiceURI) return voices[0] ?? null;
-    return voices.find((v) => v.voiceURI === voiceURI) ?? voices[0] ?? null;
-  }, [voices, voiceURI]);
-
-  const utteranceText = useMemo(() => {
-    // join words with spaces so charIndex mapping is deterministic
-    return segments.map((s) => s.word).join(" ");
-  }, [segments]);
+  useEffect(() => {
+    statusRef.current = status;
+  }, [status]);
 
-  // recompute word start indices for boundary mapping
+  // Some engines load voices async; update on voiceschanged
+  const [voices, setVoices] = useState(() => engine?.getVoices() ?? []);
   useEffect(() => {
-    const starts = [];
-    let pos = 0;
-    for (const seg of segments) {
-      starts.push(pos);
-      pos += seg.word.length + 1; // + space
-    }
-    setWordStarts(starts);
-  }, [segments]);
+    if (!engine) return;
+    setVoices(engine.getVoices());
+    return engine.onVoicesChanged(() => setVoices(engine.getVoices()));
+  }, [engine]);
+
+  // completed: the range was read to its end (shows "range complete")
+  const endRange = useCallback((completed = false) => {
+    const range = rangeRef.current;
+    rangeRef.current = null;
+    setActiveRange(null);
+    if (completed && range) setCompletedRange({ label: range.label });
+  }, []);
 
   const cancelSpeech = useCallback(() => {
-    if (!window.speechSynthesis) return;
-    window.speechSynthesis.cancel();
-    utterRef.current = null;
+    endRange();
+    startAtRef.current = null;
+    narrationRef.current?.cancel();
+    narrationRef.current = null;
+    engine?.cancel();
     setStatus("idle");
     setCurrentWordIndex(-1);
-  }, []);
+    setChunkInfo(null);
+  }, [engine, endRange]);
+
+  // Stop the old engine when switching engines
+  useEffect(() => () => engine?.cancel(), [engine]);
 
-  // Cancel on page/pdf change (and clear overlays)
+  // Cancel on pdf/view change (and clear overlays)
   useEffect(() => {
     cancelSpeech();
     setTarget(null);
-    setHighlightRect(null);
+    setHighlightRects([]);
     setPendingAutoSpeak(false);
-  }, [page, pdfUrl, cancelSpeech]);
+  }, [pdfUrl, viewMode, cancelSpeech]);
 
-  const updateTargetAndHighlightForIndex = useCallback(
-    (idx) => {
-      if (idx < 0 || idx >= segments.length) return;
-      const seg = segments[idx];
+  // Release what the previous document held (image blob URLs)
+  useEffect(() => () => source?.dispose(), [source]);
 
-      const r = rectForSegment(seg);
-      if (!r || (r.width === 0 && r.height === 0)) return;
+  // Explicit navigation stops reading and scrolls to `yRatio` down page n
+  const goToPage = useCallback(
+    (n, yRatio = 0) => {
+      cancelSpeech();
+      setTarget(null);
+      setHighlightRects([]);
+      setPendingAutoSpeak(false);
+
+      const scrollEl = scrollAreaRef.current;
+      if (viewModeRef.current === "continuous") {
+        scrollToPageY(scrollEl, stackPageEl(scrollEl, n), yRatio);
+      } else if (n === pageRef.current) {
+        scrollToPageY(scrollEl, pageWrapRef.current?.querySelector(".react-pdf__Page"), yRatio);
+      } else {
+        pendingScrollRef.current = yRatio;
+      }
+      setPage(n);
+    },
+    [cancelSpeech]
+  );
+
+  // Table of contents: PDF outline, else detected headings
+  useEffect(() => {
+    if (!pdfDoc) return;
+    let cancelled = false;
+    loadContents(pdfDoc)
+      .then((found) => {
+        if (!cancelled) setContents(found);
+      })
+      .catch(() => {
+        if (!cancelled) setContents({ source: "headings", entries: [] });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDoc]);
+
+  // Running headers/footers are found once per document from sampled pages
+  useEffect(() => {
+    if (!pdfDoc) return;
+    let cancelled = false;
+    detectRunningText(pdfDoc)
+      .then((found) => {
+        if (!cancelled) setRunningText(found);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDoc]);
+
+  // Per rendered page: words with header/footer words flagged so narration
+  // skips them (PDFs only) and linked words tagged with their link, plus the
+  // language of each paragraph (page language as fallback)
+  const pages = useMemo(() => {
+    const out = {};
+    for (const [n, text] of Object.entries(pageTexts)) {
+      const ids = source ? new Set() : findFurnitureLines(text.lines, text.height, runningText);
+      const furnitureLines = text.lines.filter((l) => ids.has(l.id));
+      const links = linkedWords(text.segments, linkAreas[n]);
+      const segments =
+        (readFurniture || !furnitureLines.length) && !links.size
+          ? text.segments
+          : text.segments.map((s, i) => {
+              const skip = !readFurniture && ids.has(s.line);
+              const link = links.get(i);
+              return skip || link != null ? { ...s, skip, link } : s;
+            });
+      const languages = detectSegmentLanguages(segments.filter((s) => !s.skip));
+      out[n] = { ...text, segments, furnitureLines, languages };
+    }
+    return out;
+  }, [pageTexts, linkAreas, runningText, readFurniture, source]);
 
-      // pointer aims at center of the word rect
+  const pagesRef = useRef(pages);
+  useEffect(() => {
+    pagesRef.current = pages;
+  }, [pages]);
+
+  const current = pages[page] ?? NO_PAGE;
+  const { segments, languages } = current;
+
+  // Point at segs[idx..last] (one spoken unit, e.g. a lexicon phrase).
+  // Returns the first rect, or null when nothing is visible.
+  const showWord = useCallback(
+    (segs, idx, last = idx) => {
+      if (idx < 0 || idx >= segs.length) return null;
+
+      const rects = segs
+        .slice(idx, Math.max(idx, last) + 1)
+        .flatMap((seg) => rectsForSegment(seg));
+      if (!rects.length) return null;
+
+      // pointer aims at center of the (first piece of the) word
+      const r = rects[0];
       setTarget({
         x: r.left + r.width / 2,
         y: r.top + r.height / 2
       });
 
-      // highlight draws over the rect (with small padding)
-      const pad = 2;
-      setHighlightRect({
-        left: r.left - pad,
-        top: r.top - pad,
-        width: clamp(r.width + pad * 2, 6, 2000),
-        height: clamp(r.height + pad * 2, 10, 2000)
-      });
+      // highlight draws over every piece
+      setHighlightRects(rects.map((q) => padRect(q)));
+
+      // the avatar docks away from what is about to be read
+      setAvoidRects(lineRects(segs, idx, AVOID_LOOKAHEAD));
+      return r;
     },
-    [segments]
+    []
   );
 
   // Keep pointer + highlight stable on scroll/resize (window + pdf scroll container)
@@ -234,9 +534,7 @@ export default function PdfTeacher() {
     let raf = 0;
     const recompute = () => {
       cancelAnimationFrame(raf);
-      raf = requestAnimationFrame(() =>
-        updateTargetAndHighlightForIndex(currentWordIndex)
-      );
+      raf = requestAnimationFrame(() => showWord(segments, currentWordIndex, currentWordEnd));
     };
 
     const scrollEl = scrollAreaRef.current;
@@ -251,102 +549,369 @@ export default function PdfTeacher() {
       scrollEl?.removeEventListener("scroll", recompute);
       cancelAnimationFrame(raf);
     };
-  }, [currentWordIndex, updateTargetAndHighlightForIndex]);
+  }, [currentWordIndex, currentWordEnd, segments, showWord]);
 
-  const startSpeech = useCallback(() => {
-    if (!window.speechSynthesis) return;
-    if (!utteranceText.trim() || segments.length === 0) return;
-
-    // Reset
-    window.speechSynthesis.cancel();
-    setStatus("speaking");
+  // Speak from segment `from` to the end of the page, one sentence chunk at a time.
+  const rewrite = useMemo(() => {
+    const lexiconRewrite = compileLexicon(lexicon);
+    return composeRewrites(lexiconRewrite, readMath && createMathRewrite({ yieldTo: lexiconRewrite }));
+  }, [lexicon, readMath]);
 
-    const utter = new SpeechSynthesisUtterance(utteranceText);
-    utter.rate = rate;
-    utter.pitch = pitch;
+  useEffect(() => {
+    saveLexicon(lexicon);
+  }, [lexicon]);
 
-    if (selectedVoice) utter.voice = selectedVoice;
+  useEffect(() => {
+    saveVoicePrefs(voicePrefs);
+  }, [voicePrefs]);
 
-    utter.onboundary = (e) => {
-      if (typeof e.charIndex !== "number") return;
-      if (!wordStarts.length) return;
+  const pageLanguages = useMemo(
+    () => [...new Set(languages.blocks.values())].filter(Boolean),
+    [languages]
+  );
 
-      const idx = binarySearchWordIndex(wordStarts, e.charIndex);
-      setCurrentWordIndex(idx);
-      updateTargetAndHighlightForIndex(idx);
-    };
+  // continuous mode hands off to the next page through these (set below)
+  const startSpeechRef = useRef(null);
+  const flowToPageRef = useRef(null);
+
+  // Range reading turns pages by itself and stops at the range end: go on
+  // after page `at` (read to its end, or nothing left to read on it)
+  const advanceRange = useCallback(
+    (at) => {
+      const lastPage = rangeRef.current?.end?.page ?? numPagesRef.current;
+      if (at >= lastPage) {
+        endRange(true);
+      } else if (viewModeRef.current === "continuous") {
+        flowToPageRef.current?.(at + 1);
+      } else {
+        setPage(at + 1);
+        setTarget(null);
+        setHighlightRects([]);
+        setPendingAutoSpeak(true);
+      }
+    },
+    [endRange]
+  );
 
-    utter.onend = () => {
-      setStatus("idle");
-      setCurrentWordIndex(-1);
+  // Speak page `at` from segment `from` to the end of the page
+  const startSpeech = useCallback(
+    (from = 0, at = page) => {
+      const view = pages[at] ?? NO_PAGE;
+      const { segments: segs, languages: langs } = view;
+      if (!engine || segs.length === 0) return;
+
+      // navigation (section heading, search result) picks where this page starts
+      const startAt = startAtRef.current;
+      if (startAt?.page === at) {
+        from = startAt.locate(view) ?? from;
+        startAtRef.current = null;
+      }
 
-      // AUTO PAGE TURN
-      const ap = autoPageTurnRef.current;
-      const ac = autoContinueRef.current;
-      const n = numPagesRef.current;
-      const p = pageRef.current;
+      // reading a range: stop where it ends
+      let to = segs.length;
+      const range = rangeRef.current;
+      if (range?.end && at === range.end.page) {
+        to = range.end.locate(view) ?? to;
+      }
+      if (from < 0 || from >= segs.length) from = 0;
 
-      if (ap && n && p < n) {
-        setPage((prev) => prev + 1);
-        setTarget(null);
-        setHighlightRect(null);
-
-        if (ac) {
-          // wait until next page text layer is ready, then auto-speak
-          setPendingAutoSpeak(true);
-        } else {
-          setPendingAutoSpeak(false);
-        }
+      const pageRewrite = announceLinks ? composeRewrites(createLinkRewrite(segs, rewrite), rewrite) : rewrite;
+      const chunks = buildSpeechChunks(segs, { from, to, rewrite: pageRewrite }).map((chunk) => {
+        if (!autoVoice) return chunk;
+        const lang = langs.blocks.get(segs[chunk.words[0].index]?.block) ?? langs.page;
+        return { ...chunk, lang, voiceURI: pickVoiceURI(voices, lang, voicePrefs, voiceURI) };
+      });
+      if (!chunks.length) {
+        // e.g. the range ends at the first word here: nothing to say, but
+        // the range still has to move on (or finish)
+        if (rangeRef.current) advanceRange(at);
+        return;
       }
-    };
 
-    utter.onerror = () => {
-      setStatus("idle");
-      setCurrentWordIndex(-1);
-      setPendingAutoSpeak(false);
-    };
+      narrationRef.current?.cancel();
+      setStatus("speaking");
+      setResumeOffer(null);
+
+      const finish = () => {
+        narrationRef.current = null;
+        setStatus("idle");
+        setCurrentWordIndex(-1);
+        setChunkInfo(null);
+      };
+
+      narrationRef.current = startNarration(
+        engine,
+        chunks,
+        { rate, pitch, voiceURI },
+        {
+          onWord: (idx, last) => {
+            lastWordIndexRef.current = idx;
+            setCurrentWordIndex(idx);
+            setCurrentWordEnd(last);
+            const rules = gesturesFor(wordFeatures(segs, idx), gestureMap);
+            if (rules.length) setGestureCue({ rules });
+            const rect = showWord(segs, idx, last);
+            if (viewModeRef.current === "continuous") keepInView(scrollAreaRef.current, rect);
+          },
+          onChunk: (index, total, chunk) => setChunkInfo({ index, total, lang: chunk.lang }),
+          onSync: setWordSync,
+          onDone: () => {
+            finish();
+
+            if (rangeRef.current) {
+              advanceRange(at);
+              return;
+            }
+
+            // continuous view: read straight on into the next page
+            if (viewModeRef.current === "continuous") {
+              flowToPageRef.current?.(at + 1);
+              return;
+            }
+
+            // AUTO PAGE TURN
+            const ap = autoPageTurnRef.current;
+            const ac = autoContinueRef.current;
+            const n = numPagesRef.current;
+            const p = pageRef.current;
+
+            if (ap && n && p < n) {
+              setPage((prev) => prev + 1);
+              setTarget(null);
+              setHighlightRects([]);
+
+              if (ac) {
+                // wait until next page text layer is ready, then auto-speak
+                setPendingAutoSpeak(true);
+              } else {
+                setPendingAutoSpeak(false);
+              }
+            }
+          },
+          onError: () => {
+            finish();
+            endRange();
+            setPendingAutoSpeak(false);
+          }
+        },
+        wordSyncStateRef.current
+      );
+    },
+    [
+      engine,
+      page,
+      pages,
+      rewrite,
+      announceLinks,
+      gestureMap,
+      autoVoice,
+      voices,
+      voicePrefs,
+      rate,
+      pitch,
+      voiceURI,
+      showWord,
+      endRange,
+      advanceRange
+    ]
+  );
+
+  useEffect(() => {
+    startSpeechRef.current = startSpeech;
+  }, [startSpeech]);
+
+  // Continue with page `next` (skipping pages without text). The reading page
+  // and the one after it stay mounted, so its words are normally ready; if
+  // not, fall back to waiting for its text layer.
+  const flowToPage = useCallback((next) => {
+    const n = numPagesRef.current;
+    while (next <= n && pagesRef.current[next] && !pagesRef.current[next].segments.length) next++;
+    // a range whose last pages had nothing to read is done
+    const range = rangeRef.current;
+    if (range && next > (range.end?.page ?? n)) {
+      endRange(true);
+      return;
+    }
+    if (!n || next > n) return;
 
-    utterRef.current = utter;
-    window.speechSynthesis.speak(utter);
-  }, [
-    utteranceText,
-    segments.length,
-    rate,
-    pitch,
-    selectedVoice,
-    wordStarts,
-    updateTargetAndHighlightForIndex
-  ]);
+    setPage(next);
+    if (pagesRef.current[next]) startSpeechRef.current?.(0, next);
+    else setPendingAutoSpeak(true);
+  }, [endRange]);
+
+  useEffect(() => {
+    flowToPageRef.current = flowToPage;
+  }, [flowToPage]);
 
   // If we turned the page and autoContinue is enabled:
   // when segments become available again, start speech.
   useEffect(() => {
     if (!pendingAutoSpeak) return;
     if (status !== "idle") return;
-    if (segments.length === 0) return;
+    if (segments.length === 0) {
+      // a blank or image-only page inside a range (and no OCR words coming):
+      // skip it like continuous view does
+      const ocr = ocrPages[page];
+      const ocrPending = ocr?.status === "running" || (ocr?.status === "done" && ocr.words.length > 0);
+      if (pages[page] && rangeRef.current && !ocrPending) advanceRange(page);
+      return;
+    }
 
     // start speaking next page
     setPendingAutoSpeak(false);
     startSpeech();
-  }, [pendingAutoSpeak, status, segments.length, startSpeech]);
+  }, [pendingAutoSpeak, status, segments.length, startSpeech, pages, page, ocrPages, advanceRange]);
+
+  const sentenceStarts = useMemo(() => sentenceStartIndices(segments), [segments]);
+
+  // Jump to the previous/next sentence relative to the word being (or last) spoken
+  const jumpSentence = useCallback(
+    (dir) => {
+      if (!sentenceStarts.length) return;
+      const cur = Math.max(0, lastWordIndexRef.current);
+
+      // sentence containing `cur`
+      let k = 0;
+      while (k + 1 < sentenceStarts.length && sentenceStarts[k + 1] <= cur) k++;
+
+      // "back" restarts the current sentence unless we're right at its start
+      if (dir < 0 && cur - sentenceStarts[k] <= 1) k--;
+      if (dir > 0) k++;
+
+      startSpeech(sentenceStarts[clamp(k, 0, sentenceStarts.length - 1)]);
+    },
+    [sentenceStarts, startSpeech]
+  );
+
+  // Click a word in the text layer to start reading from there
+  const onTextLayerClick = useCallback(
+    (e) => {
+      const span = e.target.closest?.(".react-pdf__Page__textContent span, .docText *");
+      if (!span) return;
+
+      // don't hijack drag-to-select
+      const sel = window.getSelection?.();
+      if (sel && !sel.isCollapsed) return;
+
+      // continuous view: the click may land on any mounted page
+      const at = Number(span.closest(".react-pdf__Page")?.dataset.pageNumber) || page;
+      const segs = pages[at]?.segments ?? [];
+      const seg = segmentAtPoint(segs, e.clientX, e.clientY, span);
+      if (!seg) return;
+      endRange();
+      if (at !== page) setPage(at);
+      startSpeech(seg.index, at);
+    },
+    [page, pages, startSpeech, endRange]
+  );
 
   const pauseSpeech = useCallback(() => {
-    if (!window.speechSynthesis) return;
-    window.speechSynthesis.pause();
+    if (!narrationRef.current) return;
+    narrationRef.current.pause();
     setStatus("paused");
   }, []);
 
   const resumeSpeech = useCallback(() => {
-    if (!window.speechSynthesis) return;
-    window.speechSynthesis.resume();
+    if (!narrationRef.current) return;
+    narrationRef.current.resume();
     setStatus("speaking");
   }, []);
 
-  const onLoadSuccess = useCallback(({ numPages: n }) => {
+  // Fresh page/document: sentence jumps start from the top again
+  useEffect(() => {
+    lastWordIndexRef.current = -1;
+  }, [segments]);
+
+  // Per-document state back to empty, for a newly opened document of n pages
+  const resetDocument = useCallback((n) => {
+    setPageTexts({});
+    setLinkAreas({});
+    setOcrPages({});
+    ocrJobsRef.current = new Set();
+    setRunningText(null);
+    setContents(null);
+    setSearchIndex(null);
+    setSearchProgress(null);
+    setActiveResultId(null);
+    setDocId(null);
+    setBookmarks([]);
+    setResumeOffer(null);
     setNumPages(n);
     setPage((p) => Math.min(Math.max(1, p), n));
   }, []);
 
+  const onLoadSuccess = useCallback(
+    (pdf) => {
+      setPdfDoc(pdf);
+      resetDocument(pdf.numPages);
+    },
+    [resetDocument]
+  );
+
+  // Stops reading itself (not via the cancel-on-change effect, which would run
+  // after the first page renders and undo a lesson link's start position)
+  const openSource = useCallback(
+    (doc) => {
+      cancelSpeech();
+      setTarget(null);
+      setHighlightRects([]);
+      setPendingAutoSpeak(false);
+      setSource(doc);
+      setPdfDoc(null);
+      setDocName(doc.name);
+      setViewMode("single"); // reflowed pages are shown one at a time
+      setPage(pendingLinkRef.current?.page ?? 1);
+      resetDocument(doc.pages.length);
+      // contents and search come with the document
+      setContents(doc.contents);
+      setSearchIndex(buildTextSearchIndex(doc.pages.map((p, i) => ({ page: i + 1, text: p.text }))));
+    },
+    [resetDocument, cancelSpeech]
+  );
+
+  // Recognize page n once; its words then come from an OcrTextLayer
+  const requestOcr = useCallback(
+    (n) => {
+      const jobs = ocrJobsRef.current;
+      if (!pdfDoc || !ocrProvider || jobs.has(n)) return;
+      jobs.add(n);
+
+      const update = (state) => {
+        if (jobs === ocrJobsRef.current) setOcrPages((prev) => ({ ...prev, [n]: state }));
+      };
+      update({ status: "running", progress: 0 });
+      recognizePage(pdfDoc, n, ocrProvider, {
+        onProgress: (progress) => update({ status: "running", progress })
+      })
+        .then(({ words }) => update({ status: "done", words }))
+        .catch((err) => {
+          jobs.delete(n); // may be retried by toggling OCR
+          update({ status: "error", error: err?.message ?? String(err) });
+        });
+    },
+    [pdfDoc, ocrProvider]
+  );
+
+  // The page a lesson link points at has its words: scroll to the start word
+  // and read from there (autoplay) or let Speak start there
+  const applyLinkStart = useCallback((n, text) => {
+    const start = pendingLinkRef.current;
+    if (!start || start.page !== n || !text.segments.length) return;
+    pendingLinkRef.current = null;
+
+    const index = clamp(start.word, 0, text.segments.length - 1);
+    const box = text.segments[index].box;
+    if (box && text.height) {
+      scrollToPageY(scrollAreaRef.current, text.pageEl, Math.max(0, box.top / text.height - 0.15));
+    }
+    startAtRef.current = { page: n, locate: () => index };
+    if (!start.autoplay) return;
+
+    // speech may only start once the user has interacted with the page
+    if (navigator.userActivation && !navigator.userActivation.hasBeenActive) setLinkPrompt({ page: n, index });
+    else setPendingAutoSpeak(true);
+  }, []);
+
   const onRenderTextLayerSuccess = useCallback(() => {
     const wrap = pageWrapRef.current;
     if (!wrap) return;
@@ -354,39 +919,544 @@ export default function PdfTeacher() {
     const textLayer = wrap.querySelector(".react-pdf__Page__textContent");
     if (!textLayer) return;
 
-    const segs = extractWordSegments(textLayer);
-    setSegments(segs);
+    // single page view: only the shown page is kept
+    const { pageNumber, text } = readTextLayer(textLayer, pdfTextRef.current);
+    setPageTexts({ [pageNumber]: text });
+    setLinkAreas((prev) => (prev[pageNumber] ? { [pageNumber]: prev[pageNumber] } : {}));
+    if (!text.segments.length && ocrEnabled) requestOcr(pageNumber);
+
+    if (pendingScrollRef.current != null) {
+      scrollToPageY(scrollAreaRef.current, text.pageEl, pendingScrollRef.current);
+      pendingScrollRef.current = null;
+    }
+    applyLinkStart(pageNumber, text);
+  }, [ocrEnabled, requestOcr, applyLinkStart]);
+
+  // Start reading page n now if its words are ready, else once they are
+  const speakPage = useCallback(
+    (n) => {
+      if (pagesRef.current[n]) startSpeech(0, n);
+      else setPendingAutoSpeak(true);
+    },
+    [startSpeech]
+  );
+
+  /**
+   * Narrate a range, crossing pages, then stop with "range complete".
+   * range: { start: { page, locate, yRatio }, end (see rangeRef), label,
+   *          sectionId, jump } - jump scrolls to the start first.
+   */
+  const readRange = useCallback(
+    (range) => {
+      if (range.jump) {
+        goToPage(range.start.page, range.start.yRatio ?? 0);
+      } else {
+        cancelSpeech();
+        setPage(range.start.page);
+      }
+      rangeRef.current = { end: range.end, label: range.label };
+      startAtRef.current = { page: range.start.page, locate: range.start.locate };
+      setActiveRange({ label: range.label, sectionId: range.sectionId ?? null });
+      setCompletedRange(null);
+      speakPage(range.start.page);
+    },
+    [goToPage, cancelSpeech, speakPage]
+  );
+
+  const jumpToEntry = useCallback((entry) => goToPage(entry.page, entry.yRatio ?? 0), [goToPage]);
+
+  // Read from a heading to the next one at the same or a higher level. When
+  // the next heading can't be found on its (later) page, stop where it begins.
+  const readSection = useCallback(
+    (entry) => {
+      const next = sectionEnd(contents?.entries ?? [], entry);
+      const endAt = (view) => entryStartIndex(view, next) ?? (next.page > entry.page ? 0 : null);
+      readRange({
+        start: { page: entry.page, yRatio: entry.yRatio, locate: (view) => entryStartIndex(view, entry) },
+        end: next && { page: next.page, locate: endAt },
+        label: `“${entry.title}”`,
+        sectionId: entry.id,
+        jump: true
+      });
+    },
+    [contents, readRange]
+  );
+
+  const readPages = useCallback(
+    ({ from, to }) =>
+      readRange({
+        start: { page: from, locate: () => 0 },
+        end: { page: to, locate: () => null },
+        label: from === to ? `page ${from}` : `pages ${from}–${to}`,
+        jump: true
+      }),
+    [readRange]
+  );
+
+  // Track the text selection on rendered pages (for "read selection")
+  useEffect(() => {
+    const update = () => setTextSelection(selectionRange(window.getSelection?.(), pagesRef.current));
+    document.addEventListener("selectionchange", update);
+    return () => document.removeEventListener("selectionchange", update);
+  }, []);
+
+  const readSelection = useCallback(() => {
+    const sel = textSelection;
+    if (!sel) return;
+    window.getSelection?.()?.removeAllRanges();
+    readRange({
+      start: { page: sel.start.page, locate: () => sel.start.index },
+      end: { page: sel.end.page, locate: () => sel.end.index + 1 },
+      label: "the selection",
+      jump: false
+    });
+  }, [textSelection, readRange]);
+
+  // Search: the index is built on first use, then every query is instant
+  const searching = searchQuery.trim().length >= 2;
+  useEffect(() => {
+    if (!pdfDoc || !searching || searchIndex) return;
+    let cancelled = false;
+    buildSearchIndex(pdfDoc, {
+      onProgress: (done, total) => {
+        if (!cancelled) setSearchProgress({ done, total });
+      },
+      isCancelled: () => cancelled
+    }).then((index) => {
+      if (!cancelled && index) setSearchIndex(index);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDoc, searching, searchIndex]);
+
+  const searchResults = useMemo(
+    () => (searching ? searchDocument(searchIndex, searchQuery) : []),
+    [searching, searchIndex, searchQuery]
+  );
+
+  // matches on the rendered page(s), highlighted in place
+  const searchMatches = useMemo(() => {
+    if (!searching) return [];
+    return Object.values(pages).flatMap((view) =>
+      findSegmentMatches(view.segments, searchQuery).map((m) => ({ ...m, segments: view.segments }))
+    );
+  }, [searching, pages, searchQuery]);
+
+  useEffect(() => {
+    if (!searchMatches.length) return;
+
+    let raf = 0;
+    const recompute = () => {
+      cancelAnimationFrame(raf);
+      raf = requestAnimationFrame(() => {
+        const rects = searchMatches.flatMap((m) =>
+          m.segments.slice(m.from, m.last + 1).flatMap((seg) => rectsForSegment(seg))
+        );
+        setSearchRects(rects.map((q) => padRect(q)));
+      });
+    };
+    recompute();
+
+    const scrollEl = scrollAreaRef.current;
+    window.addEventListener("scroll", recompute, { passive: true });
+    window.addEventListener("resize", recompute);
+    scrollEl?.addEventListener("scroll", recompute, { passive: true });
+
+    return () => {
+      window.removeEventListener("scroll", recompute);
+      window.removeEventListener("resize", recompute);
+      scrollEl?.removeEventListener("scroll", recompute);
+      cancelAnimationFrame(raf);
+    };
+  }, [searchMatches]);
+
+  const jumpToResult = useCallback(
+    (result) => {
+      setActiveResultId(result.id);
+      goToPage(result.page, Math.max(0, result.yRatio - 0.15));
+    },
+    [goToPage]
+  );
+
+  const readFromResult = useCallback(
+    (result) => {
+      jumpToResult(result);
+      const query = searchQuery;
+      startAtRef.current = {
+        page: result.page,
+        locate: (view) => closestSegmentMatch(view, query, result)?.from ?? null
+      };
+      speakPage(result.page);
+    },
+    [jumpToResult, searchQuery, speakPage]
+  );
+
+  const onRenderAnnotationLayerSuccess = useCallback(() => {
+    const pageEl = pageWrapRef.current?.querySelector(".react-pdf__Page");
+    const n = Number(pageEl?.dataset.pageNumber);
+    if (n) setLinkAreas({ [n]: readLinkAreas(pageEl) });
+  }, []);
+
+  const onStackTextLayer = useCallback(
+    (n, textLayer, pdfText) => {
+      const { text } = readTextLayer(textLayer, pdfText);
+      setPageTexts((prev) => ({ ...prev, [n]: text }));
+      if (!text.segments.length && ocrEnabled) requestOcr(n);
+      applyLinkStart(n, text);
+    },
+    [ocrEnabled, requestOcr, applyLinkStart]
+  );
+
+  const toggleOcr = useCallback(
+    (on) => {
+      setOcrEnabled(on);
+      if (!on) return;
+      for (const [n, p] of Object.entries(pagesRef.current)) {
+        if (!p.segments.length) requestOcr(Number(n));
+      }
+    },
+    [requestOcr]
+  );
+
+  const onStackAnnotationLayer = useCallback((n, pageEl) => {
+    setLinkAreas((prev) => ({ ...prev, [n]: readLinkAreas(pageEl) }));
+  }, []);
+
+  const onStackPageHidden = useCallback((n) => {
+    const drop = (prev) => {
+      if (!(n in prev)) return prev;
+      const next = { ...prev };
+      delete next[n];
+      return next;
+    };
+    setPageTexts(drop);
+    setLinkAreas(drop);
+  }, []);
+
+  // Internal links (pdf.js routes them through Document's onItemClick)
+  const onItemClick = useCallback(
+    async ({ pageNumber, dest }) => {
+      const target = dest && pdfDoc ? await resolveDest(pdfDoc, dest) : null;
+      goToPage(target?.page ?? pageNumber, target?.yRatio ?? 0);
+    },
+    [pdfDoc, goToPage]
+  );
+
+  // External links open in a new tab, but only after the user confirms
+  const onLinkClickCapture = useCallback((e) => {
+    const a = e.target.closest?.(".annotationLayer a[href], .docText a[href]");
+    const href = a?.getAttribute("href");
+    if (!href) return;
+    if (href.startsWith("#")) {
+      // a reflowed page isn't a web page: in-page anchors would just jump the stage
+      if (a.closest(".docText")) e.preventDefault();
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    if (window.confirm(`Open this link in a new tab?\n\n${href}`)) {
+      window.open(href, "_blank", "noopener,noreferrer");
+    }
   }, []);
 
-  const onPickFile = useCallback((e) => {
-    const f = e.target.files?.[0];
-    if (!f) return;
-    const url = URL.createObjectURL(f);
-    setPdfUrl(url);
-    setPage(1);
+  // While idle, the page counter follows scrolling; during reading it follows the voice
+  const onVisiblePage = useCallback((n) => {
+    if (statusRef.current === "idle") setPage(n);
+  }, []);
+
+  const changeViewMode = useCallback((mode) => {
+    setPageTexts({});
+    setLinkAreas({});
+    setViewMode(mode);
+  }, []);
+
+  // Entering the continuous view: start at the page that was shown
+  useEffect(() => {
+    if (viewMode !== "continuous" || !scrollEl) return;
+    const raf = requestAnimationFrame(() =>
+      scrollToPageY(scrollEl, stackPageEl(scrollEl, pageRef.current), 0, "auto")
+    );
+    return () => cancelAnimationFrame(raf);
+  }, [viewMode, scrollEl]);
+
+  // A document picked or dropped by the user (replaces any lesson link).
+  // The object URL of a PDF opened before is let go once another document
+  // takes its place.
+  const openFile = useCallback(
+    async (f) => {
+      setSourceError(null);
+      setDocSrc(null);
+      setLinkPrompt(null);
+      pendingLinkRef.current = null;
+      linkReplacedRef.current = true;
+      const replaceFileUrl = (url) => {
+        if (fileUrlRef.current) URL.revokeObjectURL(fileUrlRef.current);
+        fileUrlRef.current = url;
+      };
+
+      const adapter = findDocumentSource(f);
+      if (!adapter) {
+        const url = URL.createObjectURL(f);
+        replaceFileUrl(url);
+        setSource(null);
+        setPdfUrl(url);
+        setDocName(f.name);
+        setPage(1);
+        return;
+      }
+      try {
+        openSource(await loadDocumentSource(f, adapter));
+        replaceFileUrl(null);
+      } catch (err) {
+        setSourceError(`Couldn’t open ${f.name}: ${err?.message ?? err}`);
+      }
+    },
+    [openSource]
+  );
+
+  const onPickFile = useCallback(
+    (e) => {
+      const f = e.target.files?.[0];
+      if (f) openFile(f);
+    },
+    [openFile]
+  );
+
+  // Drag a file anywhere onto the stage to open it
+  const onStageDragOver = useCallback((e) => {
+    if (!e.dataTransfer?.types.includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setDragOver(true);
   }, []);
 
+  const onStageDragLeave = useCallback((e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false);
+  }, []);
+
+  const onStageDrop = useCallback(
+    (e) => {
+      const f = e.dataTransfer?.files?.[0];
+      setDragOver(false);
+      if (!f) return;
+      e.preventDefault();
+      openFile(f);
+    },
+    [openFile]
+  );
+
+  // Lesson link to an EPUB/HTML/Markdown/text file: download and open it
+  useEffect(() => {
+    const adapter = link.src && findDocumentSource({ name: urlFileName(link.src) });
+    if (!adapter) return; // PDFs load through <Document>
+    let cancelled = false;
+    fetchDocumentFile(link.src, urlFileName(link.src))
+      .then((f) => loadDocumentSource(f, adapter))
+      .then((doc) => {
+        if (!cancelled) openSource(doc);
+      })
+      .catch((err) => {
+        if (!cancelled) setSourceError(`Couldn’t open ${link.src}: ${err?.message ?? err}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [link, openSource]);
+
+  // Lesson link with a course gesture map for the avatar
+  useEffect(() => {
+    if (!link.gestures) return;
+    loadGestureMap(link.gestures).then(setGestureMap, () => {
+      // unreachable or invalid: keep the default gestures
+    });
+  }, [link]);
+
+  // Character from a lesson link or saved from an earlier visit: fetch it
+  useEffect(() => {
+    if (hasCharacter(characterId)) return;
+    let cancelled = false;
+    loadCharacter(characterId).then(
+      () => {
+        if (!cancelled) setCharacters(listCharacters());
+      },
+      () => {
+        // unreachable or invalid: the default teacher stands in
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [characterId]);
+
+  const pickCharacter = useCallback((id) => {
+    saveCharacterChoice(id);
+    setCharacterId(id);
+  }, []);
+
+  const addCharacter = useCallback(
+    async (url) => {
+      const c = await loadCharacter(url);
+      setCharacters(listCharacters());
+      pickCharacter(c.id);
+    },
+    [pickCharacter]
+  );
+
+  // Keep the address bar pointing at the current spot, so it can be shared
+  // or reloaded (local files have no URL, so they only keep the rate). The
+  // link's autoplay was used on open; its gestures and character belong to
+  // the linked lesson and go once a local document replaces it.
+  useEffect(() => {
+    urlStateRef.current = { src: docSrc, rate };
+    if (urlTimerRef.current) return;
+    urlTimerRef.current = setTimeout(() => {
+      urlTimerRef.current = 0;
+      const { src, rate: r } = urlStateRef.current;
+      const word = lastWordIndexRef.current;
+      writeDeepLink({
+        src,
+        page: src ? pageRef.current : null,
+        word: src && word >= 0 ? word : null,
+        rate: r === 1 ? null : r,
+        autoplay: null,
+        ...(linkReplacedRef.current ? { gestures: null, character: null } : {})
+      });
+    }, URL_UPDATE_MS);
+  }, [docSrc, docName, page, currentWordIndex, rate]);
+
+  useEffect(
+    () => () => {
+      clearTimeout(urlTimerRef.current);
+      urlTimerRef.current = 0;
+    },
+    []
+  );
+
+  // Identify the document and load its saved progress/bookmarks
+  useEffect(() => {
+    if (!pdfDoc && !source) return;
+    let cancelled = false;
+    (async () => {
+      const id = source ? source.fingerprint : await fingerprintDocument(pdfDoc);
+      if (!id) return;
+      const record = await loadDocumentRecord(id);
+      if (cancelled) return;
+      setBookmarks(record?.bookmarks ?? []);
+      setResumeOffer(record && (record.lastPage > 1 || record.lastWordIndex > 0) ? record : null);
+      setDocId(id);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDoc, source]);
+
+  // Remember page + last spoken word (throttled; not while the resume offer is open)
+  useEffect(() => {
+    if (!docId || resumeOffer || progressTimerRef.current) return;
+    progressTimerRef.current = setTimeout(() => {
+      progressTimerRef.current = 0;
+      saveProgress(docId, {
+        page: pageRef.current,
+        wordIndex: lastWordIndexRef.current,
+        name: docName,
+        numPages: numPagesRef.current
+      });
+    }, PROGRESS_SAVE_MS);
+  }, [docId, docName, resumeOffer, page, currentWordIndex]);
+
+  useEffect(
+    () => () => {
+      clearTimeout(progressTimerRef.current);
+      progressTimerRef.current = 0;
+    },
+    [docId]
+  );
+
+  // Jump to word `index` of page n and continue reading from there
+  const readFrom = useCallback(
+    (n, index) => {
+      const target = clamp(n, 1, numPagesRef.current ?? n);
+      goToPage(target);
+      startAtRef.current = {
+        page: target,
+        locate: (view) => clamp(index, 0, view.segments.length - 1)
+      };
+      speakPage(target);
+    },
+    [goToPage, speakPage]
+  );
+
+  const resume = useCallback(() => {
+    const record = resumeOffer;
+    setResumeOffer(null);
+    if (record) readFrom(record.lastPage, record.lastWordIndex);
+  }, [resumeOffer, readFrom]);
+
+  const onAddBookmark = useCallback(
+    (name) => {
+      if (!docId) return;
+      addBookmark(docId, { name, page, wordIndex: lastWordIndexRef.current }).then((r) =>
+        setBookmarks(r.bookmarks)
+      );
+    },
+    [docId, page]
+  );
+
+  const onRemoveBookmark = useCallback(
+    (b) => {
+      if (!docId) return;
+      removeBookmark(docId, b.id).then((r) => setBookmarks(r.bookmarks));
+    },
+    [docId]
+  );
+
   const canPrev = page > 1;
   const canNext = numPages != null && page < numPages;
       const isPlaying = status === "speaking";           // ✅ stick only when speaking
 const isAvatarVisible = status === "speaking" || status === "paused";
-  const speakDisabled = segments.length === 0 || !utteranceText.trim();
+  const speakDisabled = !engine || segments.length === 0;
+  const currentWordText =
+    currentWordIndex >= 0
+      ? segments
+          .slice(currentWordIndex, Math.max(currentWordIndex, currentWordEnd) + 1)
+          .map((s) => s.word)
+          .join(" ")
+      : "";
+  // lip sync: a new array at every word boundary, with a few words to run on into
+  const spokenWords = useMemo(() => {
+    if (currentWordIndex < 0) return null;
+    const end = Math.max(currentWordIndex, currentWordEnd) + 1 + LIP_SYNC_LOOKAHEAD;
+    return segments.slice(currentWordIndex, end).map((s) => s.word);
+  }, [segments, currentWordIndex, currentWordEnd]);
+  const speechEngines = listSpeechEngines();
+  const fileAccept = ["application/pdf", ".pdf", ...listDocumentSources().flatMap((s) => s.extensions)].join(",");
+  const ocrProviders = listOcrProviders();
+  const ocrPage = ocrPages[page];
 
   return (
     <div className="relative">
       {/* highlight should be above pdf and below/around avatar; it's fixed */}
       <WordHighlightOverlay
-        rect={highlightRect}
+        rects={highlightRects}
         active={status === "speaking" || status === "paused"}
       />
 
+      <WordHighlightOverlay rects={searchRects} active={searchMatches.length > 0} tone="search" />
+
 
 <AvatarPointer
   target={target}
   active={isAvatarVisible}
   paused={status === "paused"}
   showStick={isPlaying}   // ✅ NEW
-  bubbleText={currentWordIndex >= 0 ? segments[currentWordIndex]?.word : ""}
+  bubbleText={currentWordText}
+  spokenWords={spokenWords}
+  rate={rate}
+  avoidRects={avoidRects}
+  gestures={gestureCue}
+  character={character}
 />
 
 {/* 
@@ -394,9 +1464,20 @@ const isAvatarVisible = status === "speaking" || status === "paused";
         target={target}
         active={status === "speaking" || status === "paused"}
         label="Virtual teacher avatar pointing to the spoken word"
-        bubbleText={currentWordIndex >= 0 ? segments[currentWordIndex]?.word : ""}
+        bubbleText={currentWordText}
       /> */}
 
+      {Object.entries(pages).map(([n, p]) => (
+        <React.Fragment key={n}>
+          <LayoutDebugOverlay blocks={p.blocks} container={p.pageEl} active={showLayout} />
+          <SkippedLinesOverlay
+            lines={p.furnitureLines}
+            container={p.pageEl}
+            active={!readFurniture}
+          />
+        </React.Fragment>
+      ))}
+
       <div className="grid gap-4 lg:grid-cols-[360px_1fr]">
         {/* Controls */}
         <section className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4 shadow">
@@ -405,24 +1486,57 @@ const isAvatarVisible = status === "speaking" || status === "paused";
           <div className="mt-3 space-y-3">
             <div>
               <label className="block text-sm text-slate-300" htmlFor="pdfFile">
-                Load PDF
+                Load document
               </label>
               <input
                 id="pdfFile"
                 type="file"
-                accept="application/pdf"
+                accept={fileAccept}
                 onChange={onPickFile}
                 className="mt-1 block w-full rounded-lg border border-slate-700 bg-slate-950/30 p-2 text-sm"
               />
               <p className="mt-1 text-xs text-slate-500">
-                Or place a PDF at <code>public/sample.pdf</code>.
+                PDF, EPUB, Markdown, HTML or plain text. Or place a PDF at <code>public/sample.pdf</code>.
               </p>
+              {sourceError && <p className="mt-1 text-xs text-red-300">{sourceError}</p>}
             </div>
 
+            <BookmarksPanel
+              ready={docId != null}
+              bookmarks={bookmarks}
+              page={page}
+              resumeOffer={resumeOffer}
+              onResume={resume}
+              onDismissResume={() => setResumeOffer(null)}
+              onAdd={onAddBookmark}
+              onOpen={(b) => readFrom(b.page, b.wordIndex)}
+              onRemove={onRemoveBookmark}
+            />
+
+            <ReadingRangePanel
+              numPages={numPages}
+              selection={textSelection}
+              activeRange={activeRange}
+              completedRange={completedRange}
+              onReadPages={readPages}
+              onReadSelection={readSelection}
+              onDismiss={() => setCompletedRange(null)}
+            />
+
+            <SearchPanel
+              query={searchQuery}
+              onQueryChange={setSearchQuery}
+              progress={searchProgress}
+              results={searchResults}
+              activeId={activeResultId}
+              onJump={jumpToResult}
+              onRead={readFromResult}
+            />
+
             <div className="flex items-center gap-2">
               <button
                 className="rounded-xl border border-slate-700 bg-slate-950/40 px-3 py-2 text-sm hover:bg-slate-950/60 disabled:opacity-50"
-                onClick={() => setPage((p) => Math.max(1, p - 1))}
+                onClick={() => goToPage(Math.max(1, page - 1))}
                 disabled={!canPrev}
                 aria-label="Previous page"
               >
@@ -430,9 +1544,7 @@ const isAvatarVisible = status === "speaking" || status === "paused";
               </button>
               <button
                 className="rounded-xl border border-slate-700 bg-slate-950/40 px-3 py-2 text-sm hover:bg-slate-950/60 disabled:opacity-50"
-                onClick={() =>
-                  setPage((p) => (numPages ? Math.min(numPages, p + 1) : p + 1))
-                }
+                onClick={() => goToPage(numPages ? Math.min(numPages, page + 1) : page + 1)}
                 disabled={!canNext}
                 aria-label="Next page"
               >
@@ -445,45 +1557,87 @@ const isAvatarVisible = status === "speaking" || status === "paused";
               </div>
             </div>
 
+            {!source && (
+              <div className="flex rounded-xl border border-slate-800 bg-slate-950/30 p-1 text-sm">
+                {[
+                  ["single", "Single page"],
+                  ["continuous", "Continuous scroll"]
+                ].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    className={`flex-1 rounded-lg px-3 py-1.5 ${
+                      viewMode === mode ? "bg-slate-800 font-semibold" : "text-slate-400 hover:text-slate-200"
+                    }`}
+                    onClick={() => changeViewMode(mode)}
+                    aria-pressed={viewMode === mode}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* NEW: auto-advance toggles */}
-            <div className="rounded-xl border border-slate-800 bg-slate-950/30 p-3">
-              <div className="flex items-start gap-3">
-                <input
-                  id="autoTurn"
-                  type="checkbox"
-                  className="mt-1 h-4 w-4"
-                  checked={autoPageTurn}
-                  onChange={(e) => setAutoPageTurn(e.target.checked)}
-                />
-                <div>
-                  <label htmlFor="autoTurn" className="text-sm font-medium">
-                    Auto page-turn
-                  </label>
-                  <p className="text-xs text-slate-400">
-                    When the page finishes reading, move to the next page.
-                  </p>
+            {viewMode === "single" && (
+              <div className="rounded-xl border border-slate-800 bg-slate-950/30 p-3">
+                <div className="flex items-start gap-3">
+                  <input
+                    id="autoTurn"
+                    type="checkbox"
+                    className="mt-1 h-4 w-4"
+                    checked={autoPageTurn}
+                    onChange={(e) => setAutoPageTurn(e.target.checked)}
+                  />
+                  <div>
+                    <label htmlFor="autoTurn" className="text-sm font-medium">
+                      Auto page-turn
+                    </label>
+                    <p className="text-xs text-slate-400">
+                      When the page finishes reading, move to the next page.
+                    </p>
+                  </div>
                 </div>
-              </div>
 
-              <div className="mt-3 flex items-start gap-3">
-                <input
-                  id="autoContinue"
-                  type="checkbox"
-                  className="mt-1 h-4 w-4"
-                  checked={autoContinue}
-                  onChange={(e) => setAutoContinue(e.target.checked)}
-                  disabled={!autoPageTurn}
-                />
-                <div>
-                  <label htmlFor="autoContinue" className="text-sm font-medium">
-                    Auto continue reading
-                  </label>
-                  <p className="text-xs text-slate-400">
-                    After turning the page, automatically start speaking the next page.
-                  </p>
+                <div className="mt-3 flex items-start gap-3">
+                  <input
+                    id="autoContinue"
+                    type="checkbox"
+                    className="mt-1 h-4 w-4"
+                    checked={autoContinue}
+                    onChange={(e) => setAutoContinue(e.target.checked)}
+                    disabled={!autoPageTurn}
+                  />
+                  <div>
+                    <label htmlFor="autoContinue" className="text-sm font-medium">
+                      Auto continue reading
+                    </label>
+                    <p className="text-xs text-slate-400">
+                      After turning the page, automatically start speaking the next page.
+                    </p>
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
+
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="h-4 w-4"
+                checked={readFurniture}
+                onChange={(e) => setReadFurniture(e.target.checked)}
+              />
+              Read headers, footers &amp; page numbers
+            </label>
+
+            <label className="flex items-center gap-2 text-xs text-slate-400">
+              <input
+                type="checkbox"
+                className="h-4 w-4"
+                checked={showLayout}
+                onChange={(e) => setShowLayout(e.target.checked)}
+              />
+              Show reading order (debug)
+            </label>
 
             <div>
               <label className="block text-sm text-slate-300" htmlFor="scale">
@@ -501,6 +1655,37 @@ const isAvatarVisible = status === "speaking" || status === "paused";
               />
             </div>
 
+            <CharacterPicker
+              characters={characters}
+              value={character.id}
+              onChange={pickCharacter}
+              onLoad={addCharacter}
+            />
+
+            {speechEngines.length > 1 && (
+              <div>
+                <label className="block text-sm text-slate-300" htmlFor="engine">
+                  Speech engine
+                </label>
+                <select
+                  id="engine"
+                  className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-950/30 p-2 text-sm"
+                  value={engine?.id ?? ""}
+                  onChange={(e) => {
+                    cancelSpeech();
+                    setVoiceURI("");
+                    setEngineId(e.target.value);
+                  }}
+                >
+                  {speechEngines.map((e) => (
+                    <option key={e.id} value={e.id}>
+                      {e.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm text-slate-300" htmlFor="voice">
                 Voice
@@ -512,7 +1697,7 @@ const isAvatarVisible = status === "speaking" || status === "paused";
                 onChange={(e) => setVoiceURI(e.target.value)}
               >
                 <option value="">Default</option>
-                {(window.speechSynthesis?.getVoices?.() ?? []).map((v) => (
+                {voices.map((v) => (
                   <option key={v.voiceURI} value={v.voiceURI}>
                     {v.name} ({v.lang})
                   </option>
@@ -520,6 +1705,15 @@ const isAvatarVisible = status === "speaking" || status === "paused";
               </select>
             </div>
 
+            <LanguageVoicePanel
+              languages={pageLanguages}
+              voices={voices}
+              prefs={voicePrefs}
+              onChange={setVoicePrefs}
+              enabled={autoVoice}
+              onToggle={setAutoVoice}
+            />
+
             <div className="grid grid-cols-2 gap-3">
               <div>
                 <label className="block text-sm text-slate-300" htmlFor="rate">
@@ -528,8 +1722,8 @@ const isAvatarVisible = status === "speaking" || status === "paused";
                 <input
                   id="rate"
                   type="range"
-                  min="0.6"
-                  max="1.4"
+                  min={RATE_MIN}
+                  max={RATE_MAX}
                   step="0.05"
                   value={rate}
                   onChange={(e) => setRate(parseFloat(e.target.value))}
@@ -553,10 +1747,68 @@ const isAvatarVisible = status === "speaking" || status === "paused";
               </div>
             </div>
 
+            <LexiconEditor entries={lexicon} onChange={setLexicon} />
+
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="h-4 w-4"
+                checked={readMath}
+                onChange={(e) => setReadMath(e.target.checked)}
+              />
+              Read formulas aloud
+              <span className="text-xs text-slate-500">(x² → “x squared”)</span>
+            </label>
+
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="h-4 w-4"
+                checked={announceLinks}
+                onChange={(e) => setAnnounceLinks(e.target.checked)}
+              />
+              Announce links
+              <span className="text-xs text-slate-500">(says “link” after linked text)</span>
+            </label>
+
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="h-4 w-4"
+                checked={ocrEnabled}
+                onChange={(e) => toggleOcr(e.target.checked)}
+              />
+              Recognize scanned pages
+              <span className="text-xs text-slate-500">(OCR, runs offline)</span>
+            </label>
+
+            {ocrEnabled && ocrProviders.length > 1 && (
+              <div>
+                <label className="block text-sm text-slate-300" htmlFor="ocrProvider">
+                  OCR engine
+                </label>
+                <select
+                  id="ocrProvider"
+                  className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-950/30 p-2 text-sm"
+                  value={ocrProvider?.id ?? ""}
+                  onChange={(e) => setOcrProviderId(e.target.value)}
+                >
+                  {ocrProviders.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className="flex flex-wrap gap-2 pt-2">
               <button
                 className="rounded-xl bg-white px-4 py-2 text-sm font-semibold text-slate-950 shadow hover:opacity-90 disabled:opacity-50"
-                onClick={startSpeech}
+                onClick={() => {
+                  endRange();
+                  startSpeech(0);
+                }}
                 disabled={speakDisabled || status === "speaking"}
                 aria-label="Start reading the current page"
               >
@@ -590,6 +1842,25 @@ const isAvatarVisible = status === "speaking" || status === "paused";
               </button>
             </div>
 
+            <div className="flex gap-2">
+              <button
+                className="flex-1 rounded-xl border border-slate-700 bg-slate-950/40 px-3 py-2 text-sm hover:bg-slate-950/60 disabled:opacity-50"
+                onClick={() => jumpSentence(-1)}
+                disabled={speakDisabled}
+                aria-label="Jump back one sentence"
+              >
+                ⟲ Sentence
+              </button>
+              <button
+                className="flex-1 rounded-xl border border-slate-700 bg-slate-950/40 px-3 py-2 text-sm hover:bg-slate-950/60 disabled:opacity-50"
+                onClick={() => jumpSentence(1)}
+                disabled={speakDisabled}
+                aria-label="Jump forward one sentence"
+              >
+                Sentence ⟳
+              </button>
+            </div>
+
             <div className="rounded-xl border border-slate-800 bg-slate-950/30 p-3 text-xs text-slate-300">
               <div className="flex items-center justify-between">
                 <span>Status</span>
@@ -599,51 +1870,176 @@ const isAvatarVisible = status === "speaking" || status === "paused";
                 <span>Words detected</span>
                 <span className="font-semibold">{segments.length}</span>
               </div>
+              {ocrPage && (
+                <div className="mt-1 flex items-center justify-between">
+                  <span>Scanned page (OCR)</span>
+                  <span className="font-semibold">
+                    {ocrPage.status === "running"
+                      ? `recognizing… ${Math.round(ocrPage.progress * 100)}%`
+                      : ocrPage.status === "error"
+                        ? "failed"
+                        : "done"}
+                  </span>
+                </div>
+              )}
+              <div className="mt-1 flex items-center justify-between">
+                <span>Text blocks</span>
+                <span className="font-semibold">{current.blocks.length}</span>
+              </div>
+              <div className="mt-1 flex items-center justify-between">
+                <span>Lines skipped</span>
+                <span className="font-semibold">
+                  {readFurniture ? "—" : current.furnitureLines.length}
+                </span>
+              </div>
+              <div className="mt-1 flex items-center justify-between">
+                <span>Chunk</span>
+                <span className="font-semibold">
+                  {chunkInfo ? `${chunkInfo.index + 1} / ${chunkInfo.total}` : "—"}
+                </span>
+              </div>
+              <div className="mt-1 flex items-center justify-between">
+                <span>Language</span>
+                <span className="font-semibold">
+                  {chunkInfo?.lang
+                    ? languageName(chunkInfo.lang)
+                    : languages.page
+                      ? languageName(languages.page)
+                      : "—"}
+                </span>
+              </div>
+              <div className="mt-1 flex items-center justify-between">
+                <span>Word sync</span>
+                <span className="font-semibold">
+                  {wordSync === "estimated" ? "estimated timing" : "boundary events"}
+                </span>
+              </div>
               <div className="mt-1 flex items-center justify-between">
                 <span>Current word</span>
                 <span className="font-semibold">
-                  {currentWordIndex >= 0 ? segments[currentWordIndex]?.word : "—"}
+                  {currentWordText || "—"}
                 </span>
               </div>
             </div>
 
             <div className="text-xs text-slate-500">
-              If the pointer/highlight doesn’t move: your browser may not emit{" "}
-              <code>onboundary</code> word events. Try Chrome/Edge.
+              If your browser doesn’t emit <code>onboundary</code> word events, the pointer
+              follows estimated word timing instead (tuned to the rate and punctuation). Chrome/Edge
+              give exact sync.
             </div>
           </div>
         </section>
 
         {/* PDF stage */}
-        <section className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4 shadow">
-          <h2 className="text-base font-semibold">PDF</h2>
-
-          <div
-            ref={scrollAreaRef}
-            className="mt-3 max-h-[70vh] overflow-auto rounded-xl border border-slate-800 bg-slate-950/30 p-3"
-          >
-            <div ref={pageWrapRef} className="flex justify-center">
-              <Document
-                file={pdfUrl}
-                onLoadSuccess={onLoadSuccess}
-                loading={<div className="p-6 text-sm text-slate-300">Loading PDF…</div>}
-                error={<div className="p-6 text-sm text-red-300">Failed to load PDF.</div>}
+        <section
+          className="relative rounded-2xl border border-slate-800 bg-slate-900/40 p-4 shadow"
+          onDragOver={onStageDragOver}
+          onDragLeave={onStageDragLeave}
+          onDrop={onStageDrop}
+        >
+          <h2 className="text-base font-semibold">{source ? source.title ?? source.name : "PDF"}</h2>
+
+          {linkPrompt && (
+            <div className="mt-3 flex items-center justify-between gap-2 rounded-lg border border-sky-500/30 bg-sky-500/10 px-3 py-2 text-sm text-sky-100">
+              <span>This lesson starts on page {linkPrompt.page}.</span>
+              <button
+                className="rounded-lg bg-white px-3 py-1 font-semibold text-slate-950 hover:opacity-90"
+                onClick={() => {
+                  setLinkPrompt(null);
+                  readFrom(linkPrompt.page, linkPrompt.index);
+                }}
               >
-                <Page
-                  pageNumber={page}
-                  scale={scale}
-                  renderTextLayer={true}
-                  renderAnnotationLayer={false}
-                  onRenderTextLayerSuccess={onRenderTextLayerSuccess}
-                />
-              </Document>
+                ▶ Start reading
+              </button>
+            </div>
+          )}
+
+          <div className="mt-3 flex gap-3">
+            <OutlineSidebar
+              contents={contents}
+              page={page}
+              readingId={activeRange?.sectionId}
+              open={tocOpen}
+              onToggle={setTocOpen}
+              onJump={jumpToEntry}
+              onRead={readSection}
+            />
+
+            <div
+              ref={scrollAreaCallbackRef}
+              className="max-h-[70vh] min-w-0 flex-1 overflow-auto rounded-xl border border-slate-800 bg-slate-950/30 p-3"
+            >
+              <div
+                ref={pageWrapRef}
+                className="flex justify-center [&_.react-pdf__Page__textContent_span]:cursor-pointer"
+                onClick={onTextLayerClick}
+                onClickCapture={onLinkClickCapture}
+              >
+                {source ? (
+                  <SourceDocumentView
+                    page={source.pages[page - 1]}
+                    pageNumber={page}
+                    scale={scale}
+                    onReady={onRenderTextLayerSuccess}
+                  />
+                ) : (
+                  <Document
+                    file={pdfUrl}
+                    onLoadSuccess={onLoadSuccess}
+                    onItemClick={onItemClick}
+                    externalLinkTarget="_blank"
+                    externalLinkRel="noopener noreferrer"
+                    loading={<div className="p-6 text-sm text-slate-300">Loading PDF…</div>}
+                    noData={<div className="p-6 text-sm text-slate-300">Loading document…</div>}
+                    error={<div className="p-6 text-sm text-red-300">Failed to load PDF.</div>}
+                  >
+                    {viewMode === "continuous" ? (
+                      <PdfPageStack
+                        pdf={pdfDoc}
+                        numPages={numPages}
+                        scale={scale}
+                        scrollRoot={scrollEl}
+                        keepPages={[page, page + 1]}
+                        ocrPages={ocrPages}
+                        onVisiblePage={onVisiblePage}
+                        onTextLayer={onStackTextLayer}
+                        onAnnotationLayer={onStackAnnotationLayer}
+                        onPageHidden={onStackPageHidden}
+                      />
+                    ) : (
+                      <Page
+                        pageNumber={page}
+                        scale={scale}
+                        renderTextLayer={true}
+                        renderAnnotationLayer={true}
+                        onLoadSuccess={(p) => (pdfTextRef.current = { page: p })}
+                        onGetTextSuccess={(textContent) =>
+                          (pdfTextRef.current = { ...pdfTextRef.current, textContent })
+                        }
+                        onRenderTextLayerSuccess={onRenderTextLayerSuccess}
+                        onRenderAnnotationLayerSuccess={onRenderAnnotationLayerSuccess}
+                      >
+                        {ocrPage?.words && (
+                          <OcrTextLayer words={ocrPage.words} scale={scale} onReady={onRenderTextLayerSuccess} />
+                        )}
+                      </Page>
+                    )}
+                  </Document>
+                )}
+              </div>
             </div>
           </div>
 
           <div className="mt-3 text-xs text-slate-500">
-            Word highlight uses a DOM <code>Range</code> over the exact span substring and
+            Click any word to start reading from there. Word highlight uses a DOM <code>Range</code> over the exact span substring and
             draws a fixed overlay rect in viewport coordinates.
           </div>
+
+          {dragOver && (
+            <div className="pointer-events-none absolute inset-0 z-10 grid place-items-center rounded-2xl border-2 border-dashed border-sky-400 bg-slate-950/70 text-sm font-semibold text-sky-100">
+              Drop to open
+            </div>
+          )}
         </section>
       </div>
     </div>
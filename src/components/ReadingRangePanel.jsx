@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { parsePageRange } from "../pdf/readingRange.js";
+
+/**
+ * Narrate part of the document: a page range ("3–7") or the current text
+ * selection. Shows the range being read and when it's complete.
+ */
+export default function ReadingRangePanel({
+  numPages,
+  selection,
+  activeRange,
+  completedRange,
+  onReadPages,
+  onReadSelection,
+  onDismiss
+}) {
+  const [input, setInput] = useState("");
+  const parsed = parsePageRange(input, numPages);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (parsed) onReadPages(parsed);
+  };
+
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/30 p-3">
+      <form className="flex items-end gap-2" onSubmit={submit}>
+        <div className="flex-1">
+          <label className="block text-sm text-slate-300" htmlFor="pageRange">
+            Read pages
+          </label>
+          <input
+            id="pageRange"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder={numPages ? `e.g. 3–${Math.min(7, numPages)}` : "e.g. 3–7"}
+            className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-950/30 p-2 text-sm"
+            aria-invalid={input.trim() !== "" && !parsed}
+          />
+        </div>
+        <button
+          type="submit"
+          className="rounded-xl border border-slate-700 bg-slate-950/40 px-3 py-2 text-sm hover:bg-slate-950/60 disabled:opacity-50"
+          disabled={!parsed}
+        >
+          Read
+        </button>
+      </form>
+
+      <div className="mt-2 flex items-center justify-between gap-2 text-xs">
+        <span className="text-slate-400">
+          {selection
+            ? `Selection: ${selection.words} word${selection.words === 1 ? "" : "s"}`
+            : "Select text on the page to read just that part."}
+        </span>
+        {selection && (
+          <button
+            className="rounded-lg border border-slate-700 px-2 py-1 text-slate-200 hover:bg-slate-800"
+            onMouseDown={(e) => e.preventDefault()} // keep the selection alive until click
+            onClick={onReadSelection}
+          >
+            Read selection
+          </button>
+        )}
+      </div>
+
+      {activeRange && (
+        <div className="mt-2 rounded-lg border border-sky-500/30 bg-sky-500/10 px-2 py-1 text-xs text-sky-200">
+          Reading {activeRange.label}…
+        </div>
+      )}
+
+      {!activeRange && completedRange && (
+        <div className="mt-2 flex items-center justify-between rounded-lg border border-emerald-500/30 bg-emerald-500/10 px-2 py-1 text-xs text-emerald-200">
+          <span>✓ Range complete: {completedRange.label}</span>
+          <button className="text-emerald-300 hover:text-white" onClick={onDismiss} aria-label="Dismiss">
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
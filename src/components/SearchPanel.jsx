@@ -0,0 +1,70 @@
+import React from "react";
+import { MAX_RESULTS } from "../pdf/search.js";
+
+/**
+ * Whole-document search box with a result list. Each result shows its page
+ * and surrounding words; clicking it jumps there, "Read" narrates from it.
+ */
+export default function SearchPanel({
+  query,
+  onQueryChange,
+  progress,
+  results,
+  activeId = null,
+  onJump,
+  onRead
+}) {
+  const searching = progress && progress.done < progress.total;
+  const hasQuery = query.trim().length >= 2;
+
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/30 p-3">
+      <label className="block text-sm text-slate-300" htmlFor="docSearch">
+        Search document
+      </label>
+      <input
+        id="docSearch"
+        type="search"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        placeholder="Find a word or phrase…"
+        className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-950/30 p-2 text-sm"
+      />
+
+      {hasQuery && (
+        <div className="mt-2 text-xs text-slate-400">
+          {searching
+            ? `Indexing page ${progress.done} / ${progress.total}…`
+            : `${results.length}${results.length >= MAX_RESULTS ? "+" : ""} result${results.length === 1 ? "" : "s"}`}
+        </div>
+      )}
+
+      {hasQuery && results.length > 0 && (
+        <ul className="mt-2 max-h-64 space-y-1 overflow-auto">
+          {results.map((r) => (
+            <li
+              key={r.id}
+              className={`rounded-lg border px-2 py-1.5 text-xs ${
+                r.id === activeId ? "border-amber-400/50 bg-amber-400/10" : "border-slate-800"
+              }`}
+            >
+              <button className="block w-full text-left" onClick={() => onJump(r)}>
+                <span className="mr-1 font-semibold text-slate-400">p. {r.page}</span>
+                {r.snippet.before && <span className="text-slate-500">…{r.snippet.before} </span>}
+                <mark className="rounded bg-amber-400/30 px-0.5 text-amber-100">{r.snippet.match}</mark>
+                {r.snippet.after && <span className="text-slate-500"> {r.snippet.after}…</span>}
+              </button>
+              <button
+                className="mt-1 rounded px-1.5 py-0.5 text-[11px] text-slate-300 hover:bg-slate-800"
+                onClick={() => onRead(r)}
+                aria-label={`Read from result on page ${r.page}`}
+              >
+                ▶ Read from here
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from "react";
+import { createPortal } from "react-dom";
+
+/**
+ * Marks the lines narration skips (running headers, footers, page numbers)
+ * so it's visible what won't be read. Rendered into the react-pdf page like
+ * LayoutDebugOverlay.
+ */
+export default function SkippedLinesOverlay({ lines, container, active = false }) {
+  if (!active || !container || !lines?.length) return null;
+
+  return createPortal(
+    <div className="pointer-events-none absolute inset-0 z-[3]" aria-hidden="true">
+      {lines.map((l) => (
+        <div
+          key={l.id}
+          title="Skipped while reading"
+          className="absolute rounded-sm border border-dashed border-slate-400/70 bg-slate-500/15"
+          style={{
+            left: l.rect.left - 2,
+            top: l.rect.top - 2,
+            width: l.rect.right - l.rect.left + 4,
+            height: l.rect.bottom - l.rect.top + 4
+          }}
+        />
+      ))}
+    </div>,
+    container
+  );
+}
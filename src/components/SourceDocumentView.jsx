@@ -0,0 +1,41 @@
+import React, { useLayoutEffect, useRef } from "react";
+
+const PAGE_WIDTH = 680; // px at zoom 1, about a printed page
+const FONT_SIZE = 16;
+
+/**
+ * One page of a reflowed document (EPUB chapter, article section, …) on the
+ * stage. It carries react-pdf's page/text-layer class names and page number
+ * so word extraction, scrolling, selection and overlays work as on PDFs.
+ * onReady(el) fires with the text element after every layout change.
+ */
+export default function SourceDocumentView({ page, pageNumber, scale, onReady }) {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    onReady?.(el);
+
+    // late images shift the words: measure again once they're in
+    const pending = [...el.querySelectorAll("img")].filter((img) => !img.complete);
+    const again = () => onReady?.(el);
+    pending.forEach((img) => img.addEventListener("load", again, { once: true }));
+    return () => pending.forEach((img) => img.removeEventListener("load", again));
+  }, [page, scale, onReady]);
+
+  return (
+    <div
+      className="react-pdf__Page relative rounded bg-white text-slate-900 shadow"
+      data-page-number={pageNumber}
+      style={{ width: PAGE_WIDTH * scale }}
+    >
+      <div
+        ref={ref}
+        className="react-pdf__Page__textContent docText"
+        style={{ fontSize: FONT_SIZE * scale, padding: "2.5em 3em" }}
+        dangerouslySetInnerHTML={{ __html: page?.html ?? "" }}
+      />
+    </div>
+  );
+}
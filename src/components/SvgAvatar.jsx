@@ -0,0 +1,488 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { SpeechBubble, TargetMarker } from "./AvatarOverlays.jsx";
+import { VISEMES, planVisemes, visemeAt } from "../speech/visemes.js";
+import { ART_HEIGHT, ART_WIDTH, stickRange, viewportSize } from "../avatar/placement.js";
+import { createGesturePlayer } from "../avatar/gestures.js";
+
+const MOUTH_SHAPES = ["idle", ...VISEMES];
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+// A face part: part.width × part.height centred on its anchor
+function Part({ part, href, visible = true }) {
+  return (
+    <image
+      href={href}
+      x={part.at.x - part.width / 2}
+      y={part.at.y - part.height / 2}
+      width={part.width}
+      height={part.height}
+      visibility={visible ? "visible" : "hidden"}
+    />
+  );
+}
+
+/**
+ * 3D-ish Dark Avatar Pointer (flat SVG). Used when WebGL is unavailable and
+ * while the 3D model loads; same props as AvatarPointer, with `placement`
+ * (see avatar/placement.js) instead of `scale`. The art comes from
+ * `character` (avatar/characters.js).
+ * Requirement change:
+ * - Stick is ONLY shown when audio is actively playing (showStick=true).
+ * - Stick is hidden when paused or stopped (showStick=false).
+ */
+export default function SvgAvatar({
+  target, // {x,y} in viewport coordinates
+  active = false, // avatar visible state (e.g., speaking or paused)
+  paused = false,
+  showStick = false, // ✅ NEW: stick visible only when speaking
+  bubbleText = "",
+  spokenWords = null, // current word first, then the next few (lip sync)
+  rate = 1,
+  gestures = null, // { rules } (avatar/gestures.js), each new object plays them
+  placement,
+  character,
+  label = "Virtual teacher pointer"
+}) {
+  const { left, top, scale, mirrored } = placement;
+  const { eyes, mouth, anchors } = character;
+
+  // Stick origin inside the avatar container (in SVG px coords; the art flips when mirrored)
+  const hand = anchors.hand;
+  const anchor = useMemo(() => ({ x: mirrored ? ART_WIDTH - hand.x : hand.x, y: hand.y }), [mirrored, hand]);
+
+  const [viseme, setViseme] = useState("closed");
+  const [blink, setBlink] = useState(false);
+  const [player] = useState(createGesturePlayer);
+  const [gesture, setGesture] = useState(null); // current weights, while any plays
+
+  // Lip sync: each new spokenWords (a word boundary) restarts the viseme track
+  useEffect(() => {
+    if (!active || paused || !spokenWords?.length) return;
+    const track = planVisemes(spokenWords, rate);
+    const start = performance.now();
+    const id = setInterval(() => setViseme(visemeAt(track, performance.now() - start)), 40);
+    return () => clearInterval(id);
+  }, [active, paused, spokenWords, rate]);
+  const speaking = active && !paused;
+  const mouthShape = speaking ? viseme : "idle";
+
+  // Gestures: animate until every triggered one has faded out
+  useEffect(() => {
+    if (!gestures) return;
+    player.trigger(gestures.rules);
+    let raf = requestAnimationFrame(function tick() {
+      setGesture(player.idle() ? null : player.sample());
+      if (!player.idle()) raf = requestAnimationFrame(tick);
+    });
+    return () => cancelAnimationFrame(raf);
+  }, [gestures, player]);
+  const brows = Math.max(gesture?.raiseBrows ?? 0, 0.35 * (gesture?.emphasize ?? 0));
+  // turn toward the board (art left), nod, tilt for emphasis
+  const pivot = anchors.head;
+  const headMove = gesture
+    ? `translate(${-6 * gesture.turnToBoard} ${4 * gesture.nod}) rotate(${-4 * gesture.emphasize} ${pivot.x} ${pivot.y})`
+    : undefined;
+
+  // Random blink
+  useEffect(() => {
+    let t;
+    const schedule = () => {
+      const delay = 1500 + Math.random() * 2500;
+      t = setTimeout(() => {
+        setBlink(true);
+        setTimeout(() => setBlink(false), 120);
+        schedule();
+      }, delay);
+    };
+    schedule();
+    return () => clearTimeout(t);
+  }, []);
+
+  // Stick angle/length (only used while the stick is visible)
+  const pose = useMemo(() => {
+    if (!showStick || target?.x == null || target?.y == null) return { angleDeg: 0, length: 160 };
+
+    const baseX = left + anchor.x * scale;
+    const baseY = top + anchor.y * scale;
+
+    const dx = target.x - baseX;
+    const dy = target.y - baseY;
+
+    const angleDeg = (Math.atan2(dy, dx) * 180) / Math.PI;
+    // clamp adapts to the screen; length is in art units (the container is scaled)
+    const range = stickRange(viewportSize());
+    const length = clamp(Math.hypot(dx, dy), range.min, range.max) / scale;
+
+    return { angleDeg, length };
+  }, [showStick, target?.x, target?.y, anchor.x, anchor.y, left, top, scale]);
+
+  return (
+    <div className="fixed inset-0 z-50 pointer-events-none" role="img" aria-label={label}>
+      {/* Target marker (ONLY while playing) */}
+      {showStick && <TargetMarker target={target} />}
+
+      {/* Avatar */}
+      <div
+        className={`absolute select-none ${placement.dock === "pinned" ? "" : "transition-[left,top] duration-500"}`}
+        aria-hidden="true"
+        style={{
+          left,
+          top,
+          width: ART_WIDTH,
+          height: ART_HEIGHT,
+          transform: `scale(${scale})`,
+          transformOrigin: "left top"
+        }}
+      >
+        <div className={`relative ${speaking ? "animate-[vt3dFloat_3.2s_ease-in-out_infinite]" : ""}`}>
+          {/* Glass speech bubble (optional) */}
+          {(active || paused) && (
+            <SpeechBubble text={bubbleText} paused={paused} className={mirrored ? "-top-14 right-16" : "-top-14 left-16"} />
+          )}
+
+          {/* Stick (ONLY while playing) */}
+          {showStick && (
+            <div
+              className="absolute"
+              style={{
+                left: anchor.x,
+                top: anchor.y,
+                transformOrigin: "0% 50%",
+                transform: `rotate(${pose.angleDeg}deg)`,
+                transition: "transform 140ms linear"
+              }}
+            >
+              <div
+                className="h-[7px] rounded-full"
+                style={{
+                  width: `${pose.length}px`,
+                  transition: "width 140ms linear",
+                  background:
+                    "linear-gradient(90deg, rgba(34,211,238,0.95), rgba(125,211,252,0.95))",
+                  boxShadow: "0 0 16px rgba(34,211,238,0.35)"
+                }}
+              />
+              <div
+                className="absolute right-0 top-1/2 h-3.5 w-3.5 -translate-y-1/2 rounded-full"
+                style={{
+                  background: "radial-gradient(circle at 30% 30%, #fff, rgba(251,113,133,0.95))",
+                  boxShadow: "0 0 16px rgba(251,113,133,0.35)",
+                  border: "1px solid rgba(255,255,255,0.35)"
+                }}
+              />
+            </div>
+          )}
+
+          {/* Character art (avatar/characters.js) */}
+          <svg
+            width={ART_WIDTH}
+            height={ART_HEIGHT}
+            viewBox={`0 0 ${ART_WIDTH} ${ART_HEIGHT}`}
+            className="drop-shadow-[0_18px_36px_rgba(0,0,0,0.55)]"
+            style={mirrored ? { transform: "scaleX(-1)" } : undefined}
+          >
+            <image href={character.body} width={ART_WIDTH} height={ART_HEIGHT} />
+
+            <g transform={headMove}>
+              {character.head && <image href={character.head} width={ART_WIDTH} height={ART_HEIGHT} />}
+
+              {/* every variant stays loaded; only the current one shows */}
+              {eyes && (
+                <>
+                  <Part part={eyes} href={eyes.open} visible={!blink} />
+                  <Part part={eyes} href={eyes.closed} visible={blink} />
+                </>
+              )}
+
+              {/* brows (raised by gestures) */}
+              {character.brows && (
+                <g transform={`translate(0 ${-5 * brows})`}>
+                  <Part part={character.brows} href={character.brows.src} />
+                </g>
+              )}
+
+              {/* mouth: resting shape when idle, else the current viseme */}
+              {mouth &&
+                MOUTH_SHAPES.map((shape) => (
+                  <Part key={shape} part={mouth} href={mouth.shapes[shape]} visible={shape === mouthShape} />
+                ))}
+            </g>
+          </svg>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+
+// import React, { useEffect, useMemo, useRef, useState } from "react";
+
+// function clamp(n, a, b) {
+//   return Math.max(a, Math.min(b, n));
+// }
+
+// /**
+//  * 3D-ish Dark Avatar Pointer
+//  * - Big by default (scale=1.9)
+//  * - Neon pointer (cyan glow)
+//  * - Floating + blinking + mouth animation while speaking
+//  * - Optional speech bubble
+//  */
+// export default function AvatarPointer({
+//   target, // {x,y} in viewport coordinates
+//   active = false,
+//   paused = false,
+//   bubbleText = "",
+//   scale = 1.9,
+//   label = "Virtual teacher pointer"
+// }) {
+//   const avatarRef = useRef(null);
+
+//   // Stick origin inside the avatar container (in SVG px coords)
+//   const anchor = useMemo(() => ({ x: 160, y: 160 }), []);
+
+//   const [pose, setPose] = useState({ angleDeg: 0, length: 160 });
+//   const [mouthOpen, setMouthOpen] = useState(false);
+//   const [blink, setBlink] = useState(false);
+
+//   // Speaking mouth toggle
+//   useEffect(() => {
+//     if (!active || paused) {
+//       setMouthOpen(false);
+//       return;
+//     }
+//     const id = setInterval(() => setMouthOpen((m) => !m), 220);
+//     return () => clearInterval(id);
+//   }, [active, paused]);
+
+//   // Random blink
+//   useEffect(() => {
+//     let t;
+//     const schedule = () => {
+//       const delay = 1500 + Math.random() * 2500;
+//       t = setTimeout(() => {
+//         setBlink(true);
+//         setTimeout(() => setBlink(false), 120);
+//         schedule();
+//       }, delay);
+//     };
+//     schedule();
+//     return () => clearTimeout(t);
+//   }, []);
+
+//   // Compute stick angle/length
+//   useEffect(() => {
+//     if (!active || !target?.x || !target?.y || !avatarRef.current) return;
+
+//     const box = avatarRef.current.getBoundingClientRect();
+
+//     // because we scale the container with CSS transform
+//     const baseX = box.left + anchor.x * scale;
+//     const baseY = box.top + anchor.y * scale;
+
+//     const dx = target.x - baseX;
+//     const dy = target.y - baseY;
+
+//     const angleDeg = (Math.atan2(dy, dx) * 180) / Math.PI;
+//     const length = clamp(Math.hypot(dx, dy), 100, 1600);
+
+//     setPose({ angleDeg, length });
+//   }, [active, target?.x, target?.y, anchor.x, anchor.y, scale]);
+
+//   return (
+//     <div className="fixed inset-0 z-50 pointer-events-none" role="img" aria-label={label}>
+//       {/* Target marker (neon) */}
+//       {active && target?.x != null && target?.y != null && (
+//         <div
+//           className="absolute -translate-x-1/2 -translate-y-1/2"
+//           style={{ left: target.x, top: target.y }}
+//           aria-hidden="true"
+//         >
+//           <div className="h-3.5 w-3.5 rounded-full bg-cyan-300/90 border border-cyan-100/70 shadow-[0_0_22px_rgba(34,211,238,0.55)]" />
+//         </div>
+//       )}
+
+//       {/* Avatar */}
+//       <div
+//         ref={avatarRef}
+//         className={`absolute left-8 bottom-8 select-none ${
+//           active && !paused ? "animate-[vt3dFloat_3.2s_ease-in-out_infinite]" : ""
+//         }`}
+//         aria-hidden="true"
+//         style={{
+//           transform: `scale(${scale})`,
+//           transformOrigin: "left bottom"
+//         }}
+//       >
+//         <div className="relative">
+//           {/* Glass speech bubble */}
+//           {(active || paused) && bubbleText?.trim() && (
+//             <div className="absolute -top-14 left-16 max-w-[260px] rounded-2xl border border-white/10 bg-white/5 backdrop-blur px-3 py-2 text-xs text-slate-100 shadow-[0_10px_30px_rgba(0,0,0,0.35)]">
+//               <div className="text-[11px] text-cyan-200/90 font-semibold">
+//                 {paused ? "Paused" : "Teaching"}
+//               </div>
+//               <div className="mt-0.5 text-slate-100/90 line-clamp-2">{bubbleText}</div>
+//               <div className="absolute -bottom-2 left-7 h-3 w-3 rotate-45 border-b border-r border-white/10 bg-white/5" />
+//             </div>
+//           )}
+
+//           {/* Neon stick */}
+//           <div
+//             className="absolute"
+//             style={{
+//               left: anchor.x,
+//               top: anchor.y,
+//               transformOrigin: "0% 50%",
+//               transform: `rotate(${pose.angleDeg}deg)`,
+//               transition: "transform 140ms linear"
+//             }}
+//           >
+//             <div
+//               className="h-[7px] rounded-full"
+//               style={{
+//                 width: `${pose.length}px`,
+//                 transition: "width 140ms linear",
+//                 background:
+//                   "linear-gradient(90deg, rgba(34,211,238,0.95), rgba(125,211,252,0.95))",
+//                 boxShadow: "0 0 16px rgba(34,211,238,0.35)"
+//               }}
+//             />
+//             <div
+//               className="absolute right-0 top-1/2 h-3.5 w-3.5 -translate-y-1/2 rounded-full"
+//               style={{
+//                 background: "radial-gradient(circle at 30% 30%, #fff, rgba(251,113,133,0.95))",
+//                 boxShadow: "0 0 16px rgba(251,113,133,0.35)",
+//                 border: "1px solid rgba(255,255,255,0.35)"
+//               }}
+//             />
+//           </div>
+
+//           {/* 3D-ish Avatar SVG */}
+//           <svg width="320" height="240" viewBox="0 0 320 240" className="drop-shadow-[0_18px_36px_rgba(0,0,0,0.55)]">
+//             <defs>
+//               <radialGradient id="skin3d" cx="35%" cy="30%" r="70%">
+//                 <stop offset="0%" stopColor="rgba(255,255,255,0.95)" />
+//                 <stop offset="40%" stopColor="rgba(226,232,240,0.95)" />
+//                 <stop offset="100%" stopColor="rgba(148,163,184,0.90)" />
+//               </radialGradient>
+
+//               <radialGradient id="body3d" cx="30%" cy="20%" r="90%">
+//                 <stop offset="0%" stopColor="rgba(255,255,255,0.25)" />
+//                 <stop offset="40%" stopColor="rgba(148,163,184,0.35)" />
+//                 <stop offset="100%" stopColor="rgba(30,41,59,0.55)" />
+//               </radialGradient>
+
+//               <linearGradient id="board3d" x1="0" y1="0" x2="1" y2="1">
+//                 <stop offset="0%" stopColor="rgba(15,23,42,0.95)" />
+//                 <stop offset="100%" stopColor="rgba(2,6,23,0.95)" />
+//               </linearGradient>
+
+//               <linearGradient id="shine" x1="0" y1="0" x2="1" y2="1">
+//                 <stop offset="0%" stopColor="rgba(255,255,255,0.22)" />
+//                 <stop offset="100%" stopColor="rgba(255,255,255,0)" />
+//               </linearGradient>
+//             </defs>
+
+//             {/* board */}
+//             <g>
+//               <rect
+//                 x="14"
+//                 y="18"
+//                 width="120"
+//                 height="82"
+//                 rx="16"
+//                 fill="url(#board3d)"
+//                 stroke="rgba(148,163,184,0.35)"
+//               />
+//               <path d="M30 52 H116" stroke="rgba(226,232,240,0.30)" strokeWidth="5" />
+//               <path d="M30 72 H100" stroke="rgba(226,232,240,0.22)" strokeWidth="5" />
+//               {/* board shine */}
+//               <path d="M18 26 C48 18, 92 18, 128 30 L128 40 C92 28, 48 28, 18 38 Z" fill="url(#shine)" />
+//             </g>
+
+//             {/* head */}
+//             <g>
+//               <circle cx="214" cy="80" r="38" fill="url(#skin3d)" />
+//               {/* highlight */}
+//               <ellipse cx="202" cy="68" rx="16" ry="12" fill="rgba(255,255,255,0.18)" />
+//               {/* eyes */}
+//               {!blink ? (
+//                 <>
+//                   <circle cx="200" cy="78" r="5" fill="rgba(15,23,42,0.82)" />
+//                   <circle cx="228" cy="78" r="5" fill="rgba(15,23,42,0.82)" />
+//                   <circle cx="198" cy="76" r="2" fill="rgba(255,255,255,0.7)" />
+//                   <circle cx="226" cy="76" r="2" fill="rgba(255,255,255,0.7)" />
+//                 </>
+//               ) : (
+//                 <>
+//                   <path d="M192 78 Q200 82 208 78" stroke="rgba(15,23,42,0.8)" strokeWidth="4" strokeLinecap="round" fill="none" />
+//                   <path d="M220 78 Q228 82 236 78" stroke="rgba(15,23,42,0.8)" strokeWidth="4" strokeLinecap="round" fill="none" />
+//                 </>
+//               )}
+
+//               {/* mouth */}
+//               {!active || paused ? (
+//                 <path
+//                   d="M196 98 Q214 112 232 98"
+//                   fill="none"
+//                   stroke="rgba(15,23,42,0.6)"
+//                   strokeWidth="5"
+//                   strokeLinecap="round"
+//                 />
+//               ) : mouthOpen ? (
+//                 <ellipse cx="214" cy="104" rx="10" ry="7" fill="rgba(15,23,42,0.55)" />
+//               ) : (
+//                 <path
+//                   d="M196 102 Q214 116 232 102"
+//                   fill="none"
+//                   stroke="rgba(15,23,42,0.6)"
+//                   strokeWidth="5"
+//                   strokeLinecap="round"
+//                 />
+//               )}
+//             </g>
+
+//             {/* body */}
+//             <g>
+//               <rect
+//                 x="172"
+//                 y="124"
+//                 width="86"
+//                 height="74"
+//                 rx="26"
+//                 fill="url(#body3d)"
+//                 stroke="rgba(226,232,240,0.18)"
+//               />
+//               {/* body shine */}
+//               <path
+//                 d="M182 132 C198 122, 232 122, 252 136 C234 136, 204 140, 182 148 Z"
+//                 fill="rgba(255,255,255,0.10)"
+//               />
+//             </g>
+
+//             {/* arm to anchor */}
+//             <path
+//               d="M198 152 C178 146, 168 146, 160 160"
+//               fill="none"
+//               stroke="rgba(226,232,240,0.78)"
+//               strokeWidth="12"
+//               strokeLinecap="round"
+//             />
+//             {/* hand at anchor */}
+//             <circle cx={anchor.x} cy={anchor.y} r="10" fill="rgba(226,232,240,0.92)" />
+//             <circle cx={anchor.x - 3} cy={anchor.y - 3} r="4" fill="rgba(255,255,255,0.25)" />
+
+//             {/* legs */}
+//             <path d="M200 198 v22" stroke="rgba(226,232,240,0.55)" strokeWidth="12" strokeLinecap="round" />
+//             <path d="M232 198 v22" stroke="rgba(226,232,240,0.55)" strokeWidth="12" strokeLinecap="round" />
+//           </svg>
+//         </div>
+//       </div>
+//     </div>
+//   );
+// }
+
@@ -3,21 +3,33 @@ import React from "react";
 /**
  * Fixed overlay highlight in viewport coordinates.
  * rect: { left, top, width, height } in viewport px
+ * rects: several such rects, for a word split across lines
+ * tone: "word" (the spoken word) | "search" (search matches, drawn beneath it)
  */
-export default function WordHighlightOverlay({ rect, active = false }) {
-  if (!active || !rect) return null;
+const TONES = {
+  word: { layer: "z-[60]", box: "border-white/60 bg-white/20 animate-pulse" },
+  search: { layer: "z-[55]", box: "border-amber-300/60 bg-amber-300/25" }
+};
+
+export default function WordHighlightOverlay({ rect, rects, active = false, tone = "word" }) {
+  const list = rects ?? (rect ? [rect] : []);
+  if (!active || !list.length) return null;
+  const style = TONES[tone] ?? TONES.word;
 
   return (
-    <div className="pointer-events-none fixed inset-0 z-[60]" aria-hidden="true">
-      <div
-        className="absolute rounded-md border border-white/60 bg-white/20 shadow-sm animate-pulse"
-        style={{
-          left: rect.left,
-          top: rect.top,
-          width: rect.width,
-          height: rect.height
-        }}
-      />
+    <div className={`pointer-events-none fixed inset-0 ${style.layer}`} aria-hidden="true">
+      {list.map((r, i) => (
+        <div
+          key={i}
+          className={`absolute rounded-md border shadow-sm ${style.box}`}
+          style={{
+            left: r.left,
+            top: r.top,
+            width: r.width,
+            height: r.height
+          }}
+        />
+      ))}
     </div>
   );
 }
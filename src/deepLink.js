@@ -0,0 +1,58 @@
+/**
+ * Lesson links: query parameters that open a document at a given spot with
+ * given settings, e.g. ?src=notes/week3.pdf&page=4&word=120&rate=1.1&autoplay=1
+ *
+ *   src      - document URL (PDF, EPUB, Markdown, HTML or text), relative to the app
+ *   page     - page number (1-based)
+ *   word     - word index on that page where reading starts
+ *   rate     - speech rate
+ *   autoplay - 1/true: start reading as soon as the page is ready
+ *   gestures - URL of the course's avatar gesture map (JSON, see avatar/gestures.js)
+ *   character - URL of a character manifest for the avatar (see avatar/characters.js)
+ *
+ * Missing or malformed values come back as null.
+ */
+function number(params, key, parse) {
+  const v = params.get(key);
+  if (v == null || v.trim() === "") return null;
+  const n = parse(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function readDeepLink(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const page = number(params, "page", (v) => parseInt(v, 10));
+  const word = number(params, "word", (v) => parseInt(v, 10));
+  return {
+    src: params.get("src")?.trim() || null,
+    page: page != null && page >= 1 ? page : null,
+    word: word != null && word >= 0 ? word : null,
+    rate: number(params, "rate", parseFloat),
+    autoplay: /^(1|true|yes)$/i.test(params.get("autoplay") ?? ""),
+    gestures: params.get("gestures")?.trim() || null,
+    character: params.get("character")?.trim() || null
+  };
+}
+
+/**
+ * Reflect the reading position in the address bar (without a history entry).
+ * null/undefined values remove their parameter; others are left as they are.
+ */
+export function writeDeepLink(values) {
+  const url = new URL(window.location.href);
+  for (const [key, value] of Object.entries(values)) {
+    if (value == null) url.searchParams.delete(key);
+    else url.searchParams.set(key, String(value));
+  }
+  if (url.href !== window.location.href) window.history.replaceState(window.history.state, "", url);
+}
+
+// File name at the end of a document URL ("week3.pdf"), for display and format detection
+export function urlFileName(src) {
+  try {
+    const path = new URL(src, window.location.href).pathname;
+    return decodeURIComponent(path.slice(path.lastIndexOf("/") + 1)) || src;
+  } catch {
+    return src;
+  }
+}
@@ -3,11 +3,12 @@ import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css";
 
-// 1. IMPORT PDFJS
-import { pdfjs } from 'react-pdf';
+// pdf.js worker: bundled with the app (same version as react-pdf's pdf.js),
+// so it works offline and from any base path. The only place it is set.
+import { pdfjs } from "react-pdf";
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
 
-// 2. SET THE WORKER SOURCE (Important for GitHub Pages)
-pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/legacy/build/pdf.worker.min.mjs`;
+pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
 
 // react-pdf CSS (Text Layer + Annotations)
 import "react-pdf/dist/Page/TextLayer.css";
@@ -0,0 +1,34 @@
+import { createTesseractProvider } from "./tesseractProvider.js";
+
+export { createTesseractProvider } from "./tesseractProvider.js";
+export { recognizePage } from "./recognizePage.js";
+
+/**
+ * OCR provider contract (used for pages without a text layer):
+ *
+ *   id, label
+ *   isSupported()                          -> boolean
+ *   recognize(canvas, { lang, onProgress }) -> Promise<[{ text, bbox, confidence }]>
+ *   terminate()
+ *
+ * bbox is { x0, y0, x1, y1 } in canvas pixels, one entry per word in reading
+ * order; confidence is 0–100. onProgress receives a 0–1 fraction.
+ */
+const providers = new Map();
+
+export const DEFAULT_OCR_PROVIDER = "tesseract";
+
+export function registerOcrProvider(provider) {
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+export function getOcrProvider(id) {
+  return providers.get(id) ?? providers.get(DEFAULT_OCR_PROVIDER) ?? null;
+}
+
+export function listOcrProviders() {
+  return Array.from(providers.values()).filter((p) => p.isSupported());
+}
+
+registerOcrProvider(createTesseractProvider());
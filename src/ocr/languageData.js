@@ -0,0 +1,13 @@
+/**
+ * tesseract.js fetches a language as `${langPath}/${code}.traineddata.gz`,
+ * so language data has to keep that file name; the directory it is in
+ * (URL or, in Node, a file path) is the langPath.
+ */
+export function languagePath(code, url) {
+  const slash = url.lastIndexOf("/");
+  const file = url.slice(slash + 1).split(/[?#]/)[0];
+  if (file !== `${code}.traineddata.gz`) {
+    throw new Error(`OCR language data for "${code}" must be named ${code}.traineddata.gz (got ${file})`);
+  }
+  return slash > 0 ? url.slice(0, slash) : ".";
+}
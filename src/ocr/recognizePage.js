@@ -0,0 +1,43 @@
+/**
+ * OCR one PDF page: render it to a canvas and hand that to an OCR provider.
+ *
+ * Returns { width, height, words: [{ text, rect }] } in page coordinates
+ * (PDF units at scale 1, origin top-left), so callers can place the words
+ * at any zoom. Low-confidence noise (specks, stray marks) is dropped.
+ */
+const OCR_SCALE = 2; // render resolution, x page size (≈144 dpi)
+const MAX_CANVAS_SIDE = 4096;
+const MIN_CONFIDENCE = 30;
+
+export async function recognizePage(pdf, n, provider, { lang, onProgress } = {}) {
+  const page = await pdf.getPage(n);
+  const base = page.getViewport({ scale: 1 });
+  const scale = Math.min(OCR_SCALE, MAX_CANVAS_SIDE / Math.max(base.width, base.height));
+  const viewport = page.getViewport({ scale });
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff"; // transparent scans read as black otherwise
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: ctx, viewport }).promise;
+
+  try {
+    const found = await provider.recognize(canvas, { lang, onProgress });
+    const words = found
+      .filter((w) => w.text?.trim() && (w.confidence ?? 100) >= MIN_CONFIDENCE)
+      .map((w) => ({
+        text: w.text.trim(),
+        rect: {
+          left: w.bbox.x0 / scale,
+          top: w.bbox.y0 / scale,
+          right: w.bbox.x1 / scale,
+          bottom: w.bbox.y1 / scale
+        }
+      }));
+    return { width: base.width, height: base.height, words };
+  } finally {
+    canvas.width = canvas.height = 0; // release the bitmap now
+  }
+}
@@ -0,0 +1,120 @@
+import workerUrl from "tesseract.js/dist/worker.min.js?url";
+import coreUrl from "tesseract.js-core/tesseract-core-lstm.wasm.js?url";
+import coreSimdUrl from "tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url";
+import engUrl from "@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url";
+import { languagePath } from "./languageData.js";
+
+/**
+ * Offline OCR with tesseract.js (WASM). Worker script, engine and language
+ * data are bundled with the app, so nothing is fetched from a CDN.
+ *
+ * languages: { [tesseract code]: traineddata URL } — add more to recognize
+ * other scripts; recognize() falls back to the first one. Each file must be
+ * named <code>.traineddata.gz (see languageData.js; vite.config.js keeps
+ * the bundled one unhashed).
+ */
+
+// Smallest module using a SIMD instruction (same probe as wasm-feature-detect)
+const SIMD_PROBE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15,
+  253, 98, 11
+]);
+
+function absolute(url) {
+  return new URL(url, window.location.href).href;
+}
+
+export function createTesseractProvider({
+  id = "tesseract",
+  label = "Tesseract (offline)",
+  languages = { eng: engUrl }
+} = {}) {
+  let worker = null; // Promise of { worker, lang }
+  let onProgress = null;
+
+  const getWorker = async (lang) => {
+    const current = await worker?.catch(() => null);
+    if (current?.lang === lang) return current.worker;
+
+    worker = (async () => {
+      await current?.worker.terminate();
+      const { createWorker } = await import("tesseract.js");
+      const simd = WebAssembly.validate(SIMD_PROBE);
+      // createWorker never settles if loading the language fails: its
+      // errorHandler is the only place that failure shows up
+      let fail;
+      const failed = new Promise((resolve, reject) => {
+        fail = reject;
+      });
+      failed.catch(() => {});
+      const w = await Promise.race([
+        createWorker(lang, 1, {
+          workerPath: absolute(workerUrl),
+          corePath: absolute(simd ? coreSimdUrl : coreUrl),
+          workerBlobURL: false,
+          langPath: languagePath(lang, absolute(languages[lang])),
+          gzip: true,
+          cacheMethod: "none", // the service worker keeps the file offline
+          errorHandler: (err) => fail(new Error(`Couldn't start OCR: ${err}`)),
+          logger: (m) => {
+            if (m.status === "recognizing text") onProgress?.(m.progress);
+          }
+        }),
+        failed
+      ]);
+      return { worker: w, lang };
+    })();
+
+    try {
+      return (await worker).worker;
+    } catch (err) {
+      worker = null;
+      throw err;
+    }
+  };
+
+  // one page at a time: the worker is shared and progress goes to the caller
+  let queue = Promise.resolve();
+
+  return {
+    id,
+    label,
+
+    isSupported() {
+      return typeof Worker === "function" && typeof WebAssembly === "object";
+    },
+
+    recognize(canvas, opts = {}) {
+      const lang = opts.lang in languages ? opts.lang : Object.keys(languages)[0];
+      const run = async () => {
+        const w = await getWorker(lang);
+        onProgress = opts.onProgress ?? null;
+        try {
+          const { data } = await w.recognize(canvas, {}, { blocks: true });
+          const words = [];
+          for (const block of data.blocks ?? []) {
+            for (const para of block.paragraphs) {
+              for (const line of para.lines) {
+                for (const word of line.words) {
+                  words.push({ text: word.text, bbox: word.bbox, confidence: word.confidence });
+                }
+              }
+            }
+          }
+          return words;
+        } finally {
+          onProgress = null;
+        }
+      };
+      const result = queue.then(run, run);
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    async terminate() {
+      const current = await worker?.catch(() => null);
+      worker = null;
+      await current?.worker.terminate();
+    }
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Reading-order reconstruction for text-layer spans.
+ *
+ * pdf.js emits spans in content-stream order, which in multi-column papers,
+ * sidebars and slides jumps between regions. We rebuild the order from
+ * geometry: spans -> lines -> blocks, then order blocks column by column.
+ *
+ * items: [{ el, rect: { left, top, right, bottom } }] (any common origin)
+ * returns { blocks: [{ id, rect, lines: [{ rect, items }] }] } with blocks
+ * and their lines/items already in reading order (block.id = order).
+ */
+
+const COLUMN_GAP_EM = 1.5; // horizontal gap (x line height) that splits a line
+const LINE_GAP_EM = 0.9; // vertical gap (x line height) that still joins a block
+const WIDE_BLOCK = 0.6; // blocks wider than this share of the page span columns
+const MIN_CUT_PX = 6;
+
+function height(r) {
+  return r.bottom - r.top;
+}
+
+function width(r) {
+  return r.right - r.left;
+}
+
+function union(a, b) {
+  return {
+    left: Math.min(a.left, b.left),
+    top: Math.min(a.top, b.top),
+    right: Math.max(a.right, b.right),
+    bottom: Math.max(a.bottom, b.bottom)
+  };
+}
+
+function boundsOf(list) {
+  return list.reduce((acc, x) => (acc ? union(acc, x.rect) : { ...x.rect }), null);
+}
+
+// Group items whose vertical centers line up, then split at column-sized gaps
+export function buildLines(items) {
+  const sorted = [...items].sort(
+    (a, b) => (a.rect.top + a.rect.bottom) / 2 - (b.rect.top + b.rect.bottom) / 2
+  );
+
+  const rows = [];
+  for (const it of sorted) {
+    const cy = (it.rect.top + it.rect.bottom) / 2;
+    const h = height(it.rect);
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(cy - row.cy) <= Math.min(h, row.h) * 0.5) {
+      row.items.push(it);
+    } else {
+      rows.push({ cy, h, items: [it] });
+    }
+  }
+
+  const lines = [];
+  for (const row of rows) {
+    row.items.sort((a, b) => a.rect.left - b.rect.left);
+    let cur = null;
+    for (const it of row.items) {
+      const h = Math.max(height(it.rect), 1);
+      if (cur && it.rect.left - cur.rect.right <= h * COLUMN_GAP_EM) {
+        cur.items.push(it);
+        cur.rect = union(cur.rect, it.rect);
+      } else {
+        cur = { rect: { ...it.rect }, items: [it] };
+        lines.push(cur);
+      }
+    }
+  }
+  return lines;
+}
+
+function horizontalOverlap(a, b) {
+  return Math.min(a.right, b.right) - Math.max(a.left, b.left);
+}
+
+// Stack lines into blocks (paragraph-ish regions)
+function buildBlocks(lines) {
+  const sorted = [...lines].sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left);
+  const blocks = [];
+
+  for (const line of sorted) {
+    const h = height(line.rect);
+    let best = null;
+    let bestGap = Infinity;
+
+    for (const b of blocks) {
+      const last = b.lines[b.lines.length - 1];
+      const lh = height(last.rect);
+      const gap = line.rect.top - last.rect.bottom;
+      if (gap < -lh * 0.5 || gap > Math.max(h, lh) * LINE_GAP_EM) continue;
+      if (Math.max(h, lh) / Math.max(Math.min(h, lh), 1) > 1.4) continue; // font size change
+      const overlap = horizontalOverlap(last.rect, line.rect);
+      if (overlap < Math.min(width(last.rect), width(line.rect)) * 0.3) continue;
+      if (gap < bestGap) {
+        best = b;
+        bestGap = gap;
+      }
+    }
+
+    if (best) {
+      best.lines.push(line);
+      best.rect = union(best.rect, line.rect);
+    } else {
+      blocks.push({ rect: { ...line.rect }, lines: [line] });
+    }
+  }
+  return blocks;
+}
+
+// Split blocks into groups separated by an empty band along one axis
+function splitByGap(blocks, axis) {
+  const lo = axis === "x" ? "left" : "top";
+  const hi = axis === "x" ? "right" : "bottom";
+  const sorted = [...blocks].sort((a, b) => a.rect[lo] - b.rect[lo]);
+
+  const groups = [];
+  let end = -Infinity;
+  for (const b of sorted) {
+    if (!groups.length || b.rect[lo] > end + MIN_CUT_PX) {
+      groups.push([b]);
+    } else {
+      groups[groups.length - 1].push(b);
+    }
+    end = Math.max(end, b.rect[hi]);
+  }
+  return groups;
+}
+
+// Recursive XY-cut, columns first so a column is read top to bottom
+function cutOrder(blocks) {
+  if (blocks.length <= 1) return blocks;
+  const cols = splitByGap(blocks, "x");
+  if (cols.length > 1) return cols.flatMap(cutOrder);
+  const rows = splitByGap(blocks, "y");
+  if (rows.length > 1) return rows.flatMap(cutOrder);
+  return [...blocks].sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left);
+}
+
+// Full-width blocks (titles, figures, footers) separate bands of columns
+function orderBlocks(blocks) {
+  if (!blocks.length) return [];
+  const page = boundsOf(blocks);
+  const pageWidth = Math.max(width(page), 1);
+
+  const byTop = [...blocks].sort((a, b) => a.rect.top - b.rect.top);
+  const out = [];
+  let band = [];
+  for (const b of byTop) {
+    if (width(b.rect) > pageWidth * WIDE_BLOCK) {
+      out.push(...cutOrder(band), b);
+      band = [];
+    } else {
+      band.push(b);
+    }
+  }
+  out.push(...cutOrder(band));
+  return out;
+}
+
+export function analyzeLayout(items) {
+  const usable = items.filter((it) => width(it.rect) > 0 && height(it.rect) > 0);
+  const blocks = orderBlocks(buildBlocks(buildLines(usable)));
+  blocks.forEach((b, i) => {
+    b.id = i;
+  });
+  return { blocks };
+}
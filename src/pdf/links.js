@@ -0,0 +1,70 @@
+/**
+ * Link annotations on a rendered page, matched to the words they cover so
+ * narration can announce them.
+ *
+ * area: { id, rect, href, internal } with rect relative to the text layer
+ * (same origin as segment boxes from extractWordSegments).
+ */
+export function readLinkAreas(pageEl) {
+  if (!pageEl) return [];
+  const originEl = pageEl.querySelector(".react-pdf__Page__textContent") ?? pageEl;
+  const origin = originEl.getBoundingClientRect();
+
+  const areas = [];
+  for (const a of pageEl.querySelectorAll(".annotationLayer .linkAnnotation > a")) {
+    const r = a.getBoundingClientRect();
+    if (!r.width || !r.height) continue;
+    const href = a.getAttribute("href") ?? "";
+    areas.push({
+      id: areas.length,
+      rect: {
+        left: r.left - origin.left,
+        top: r.top - origin.top,
+        right: r.right - origin.left,
+        bottom: r.bottom - origin.top
+      },
+      href,
+      internal: !href || href.startsWith("#")
+    });
+  }
+  return areas;
+}
+
+// Link area id per segment index (words whose center lies inside a link)
+export function linkedWords(segments, areas) {
+  const out = new Map();
+  if (!areas?.length) return out;
+  segments.forEach((s, i) => {
+    if (!s.box) return;
+    const cx = (s.box.left + s.box.right) / 2;
+    const cy = (s.box.top + s.box.bottom) / 2;
+    const hit = areas.find(
+      (a) => cx >= a.rect.left && cx <= a.rect.right && cy >= a.rect.top && cy <= a.rect.bottom
+    );
+    if (hit) out.set(i, hit.id);
+  });
+  return out;
+}
+
+/**
+ * Speech rewrite (see speechPlan.js) that reads a run of linked words as one
+ * unit followed by "(link)", so students know the text is clickable. The
+ * words inside go through `inner` (lexicon, math), kept within the link.
+ */
+export function createLinkRewrite(segments, inner = null) {
+  return (words, i, end) => {
+    const id = segments[i]?.link;
+    if (id == null) return null;
+    let j = i + 1;
+    while (j < end && segments[j].link === id) j++;
+
+    const spoken = [];
+    for (let k = i; k < j; ) {
+      const hit = inner?.(words, k, j);
+      const text = hit ? hit.text : words[k];
+      if (text) spoken.push(text);
+      k += hit ? hit.count : 1;
+    }
+    return { count: j - i, text: `${spoken.join(" ")} (link)` };
+  };
+}
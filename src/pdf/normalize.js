@@ -0,0 +1,91 @@
+/**
+ * Spoken-form normalization for text-layer words.
+ *
+ * - Ligature glyphs, math-alphanumeric and full-width forms become plain
+ *   letters (ﬁ -> fi, 𝑥 -> x) so the TTS doesn't spell them out.
+ * - Soft hyphens, zero-width chars and private-use glyphs are dropped.
+ * - Words hyphenated across a line break ("teach-" / "ing") are joined
+ *   into one spoken word that keeps both visual fragments.
+ *
+ * Input segments carry one fragment each; output segments have
+ * `word` (spoken), `text` (as displayed) and `fragments` (every visual piece);
+ * `bold` carries over from the first piece.
+ */
+
+// Ranges where NFKC gives the plain-letter reading without touching
+// things like superscripts that the math verbalizer needs.
+const COMPAT_RANGES = /[\uFB00-\uFB4F\uFF01-\uFF5E\u{1D400}-\u{1D7FF}]/gu;
+const DROP = /[\u00AD\u200B-\u200D\u2060\uFEFF\uFFFD\uE000-\uF8FF]/g;
+const LINE_HYPHEN = /[-\u2010\u00AD]$/;
+
+export function normalizeWord(word) {
+  return word.replace(COMPAT_RANGES, (c) => c.normalize("NFKC")).replace(DROP, "");
+}
+
+function startsLowercase(word) {
+  return /^\p{Ll}/u.test(word);
+}
+
+export function normalizeSegments(raw) {
+  // Compound words seen elsewhere on the page keep their hyphen when broken
+  const compounds = new Set();
+  for (const seg of raw) {
+    if (/\p{L}-\p{L}/u.test(seg.word)) compounds.add(normalizeWord(seg.word).toLowerCase());
+  }
+
+  const out = [];
+  for (let i = 0; i < raw.length; i++) {
+    const seg = raw[i];
+    const next = raw[i + 1];
+    const fragment = {
+      spanEl: seg.spanEl,
+      textNode: seg.textNode,
+      startOffset: seg.startOffset,
+      endOffset: seg.endOffset
+    };
+
+    let word = normalizeWord(seg.word);
+    let text = seg.word;
+    const fragments = [fragment];
+
+    // "teach-" at the end of a line followed by "ing" on the next one
+    const brokenAtLineEnd =
+      next &&
+      LINE_HYPHEN.test(seg.word) &&
+      seg.word.length > 1 &&
+      next.line !== seg.line &&
+      next.block === seg.block &&
+      startsLowercase(next.word);
+
+    if (brokenAtLineEnd) {
+      const head = word.replace(/[-\u2010]$/, "");
+      const tail = normalizeWord(next.word);
+      const hyphenated = `${head}-${tail}`;
+      word = compounds.has(hyphenated.replace(/[^\p{L}\p{N}-]+$/u, "").toLowerCase())
+        ? hyphenated
+        : head + tail;
+      text = `${seg.word}${next.word}`;
+      fragments.push({
+        spanEl: next.spanEl,
+        textNode: next.textNode,
+        startOffset: next.startOffset,
+        endOffset: next.endOffset
+      });
+      i++;
+    }
+
+    if (!/\S/.test(word)) continue;
+
+    out.push({
+      ...fragment,
+      index: out.length,
+      word,
+      text,
+      fragments,
+      block: seg.block,
+      line: seg.line,
+      bold: !!seg.bold
+    });
+  }
+  return out;
+}
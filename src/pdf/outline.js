@@ -0,0 +1,187 @@
+import { readPageLines } from "./pageText.js";
+
+/**
+ * Table of contents for the sidebar: the PDF outline (bookmarks) when the
+ * document has one, else headings detected from font sizes.
+ *
+ * entry: { id, title, level, page, yRatio }
+ *   level  - 1 = top level
+ *   yRatio - heading position as a share of the page height (null = top)
+ */
+const MAX_HEADING_PAGES = 300;
+const HEADING_SIZE = 1.2; // x body font size
+const MAX_HEADING_WORDS = 14;
+const MAX_ENTRIES = 500;
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+function titleKey(text) {
+  return (text ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Page + vertical position of an outline (or link) destination
+export async function resolveDest(pdf, dest) {
+  try {
+    const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit)) return null;
+
+    const [ref, mode, ...args] = explicit;
+    const index = typeof ref === "number" ? ref : await pdf.getPageIndex(ref);
+    const page = await pdf.getPage(index + 1);
+    const [, y0, , y1] = page.view;
+
+    let y = null;
+    if (mode?.name === "XYZ") y = args[1];
+    else if (mode?.name === "FitH" || mode?.name === "FitBH") y = args[0];
+
+    const yRatio = typeof y === "number" ? clamp((y1 - y) / (y1 - y0), 0, 1) : null;
+    return { page: index + 1, yRatio };
+  } catch {
+    return null;
+  }
+}
+
+async function loadOutline(pdf) {
+  const outline = await pdf.getOutline();
+  if (!outline?.length) return [];
+
+  const entries = [];
+  const walk = async (items, level) => {
+    for (const item of items) {
+      if (entries.length >= MAX_ENTRIES) return;
+      const target = item.dest ? await resolveDest(pdf, item.dest) : null;
+      if (target && item.title?.trim()) {
+        entries.push({ title: item.title.trim(), level, ...target });
+      }
+      if (item.items?.length) await walk(item.items, level + 1);
+    }
+  };
+  await walk(outline, 1);
+  return entries;
+}
+
+// Headings = short lines set clearly larger than the body text
+async function detectHeadings(pdf) {
+  const pages = [];
+  const last = Math.min(pdf.numPages, MAX_HEADING_PAGES);
+  for (let n = 1; n <= last; n++) {
+    try {
+      pages.push({ n, ...(await readPageLines(pdf, n)) });
+    } catch {
+      // unreadable page: no headings from it
+    }
+  }
+
+  // body size = the font size covering the most characters
+  const chars = new Map();
+  for (const p of pages) {
+    for (const l of p.lines) {
+      const s = Math.round(l.size * 2) / 2;
+      chars.set(s, (chars.get(s) ?? 0) + l.text.length);
+    }
+  }
+  const body = [...chars].sort((a, b) => b[1] - a[1])[0]?.[0];
+  if (!body) return [];
+
+  const found = [];
+  for (const p of pages) {
+    let prev = null;
+    for (const l of [...p.lines].sort((a, b) => a.rect.top - b.rect.top)) {
+      const text = l.text.replace(/\s+/g, " ").trim();
+      const isHeading =
+        l.size >= body * HEADING_SIZE &&
+        /\p{L}{2}/u.test(text) &&
+        text.split(" ").length <= MAX_HEADING_WORDS;
+      if (!isHeading) {
+        prev = null;
+        continue;
+      }
+
+      // a title wrapped onto a second line continues the previous entry
+      if (prev && Math.abs(prev.size - l.size) < 0.5 && l.rect.top - prev.bottom < l.size) {
+        prev.title += ` ${text}`;
+        prev.bottom = l.rect.bottom;
+        continue;
+      }
+      prev = { title: text, size: l.size, page: p.n, yRatio: l.rect.top / p.height, bottom: l.rect.bottom };
+      found.push(prev);
+    }
+  }
+
+  // big text repeated on many pages is a running title, not a heading
+  const repeats = new Map();
+  for (const h of found) repeats.set(titleKey(h.title), (repeats.get(titleKey(h.title)) ?? 0) + 1);
+  const headings = found.filter((h) => repeats.get(titleKey(h.title)) < 3).slice(0, MAX_ENTRIES);
+
+  // larger type = higher level (at most three levels)
+  const sizes = [...new Set(headings.map((h) => Math.round(h.size)))].sort((a, b) => b - a);
+  return headings.map(({ title, size, page, yRatio }) => ({
+    title,
+    page,
+    yRatio,
+    level: Math.min(sizes.indexOf(Math.round(size)) + 1, 3)
+  }));
+}
+
+/**
+ * returns { source: "outline" | "headings", entries }
+ */
+export async function loadContents(pdf) {
+  let entries = [];
+  try {
+    entries = await loadOutline(pdf);
+  } catch {
+    entries = [];
+  }
+  const source = entries.length ? "outline" : "headings";
+  if (!entries.length) entries = await detectHeadings(pdf);
+  return { source, entries: entries.map((e, id) => ({ ...e, id })) };
+}
+
+/**
+ * Where reading of `entry` stops: the next entry at the same or a higher
+ * level (so a chapter includes its subsections). null = end of document.
+ * On the same page, positions are compared only when both entries have one;
+ * otherwise the later entry in the list is taken to come after.
+ */
+export function sectionEnd(entries, entry) {
+  const i = entries.findIndex((e) => e.id === entry.id);
+  for (let j = i + 1; j < entries.length; j++) {
+    const e = entries[j];
+    const below = e.yRatio == null || entry.yRatio == null || e.yRatio > entry.yRatio;
+    const after = e.page > entry.page || (e.page === entry.page && below);
+    if (e.level <= entry.level && after) return e;
+  }
+  return null;
+}
+
+/**
+ * Line of a rendered page where `entry` starts. Prefers a line whose text
+ * matches the title, nearest to the destination; else the line at the
+ * destination. lines/height as returned by extractWordSegments.
+ */
+export function findEntryLine(lines, height, entry) {
+  const y = entry.yRatio == null ? null : entry.yRatio * height;
+  const dist = (l) => (y == null ? 0 : Math.abs(l.rect.top - y));
+  const key = titleKey(entry.title);
+
+  let best = null;
+  for (const l of lines) {
+    const t = titleKey(l.text);
+    if (t.length < 3 || !(t.startsWith(key) || key.startsWith(t))) continue;
+    if (!best || dist(l) < dist(best)) best = l;
+  }
+  if (best) return best.id;
+  if (y == null) return null;
+
+  for (const l of lines) {
+    if (l.rect.bottom < y) continue;
+    if (!best || dist(l) < dist(best)) best = l;
+  }
+  return best?.id ?? null;
+}
@@ -0,0 +1,29 @@
+import { buildLines } from "./layout.js";
+
+/**
+ * Text lines of a page straight from pdf.js (no rendering), for whole-document
+ * scans. Rects are in PDF units with the origin at the top-left of the page.
+ *
+ * returns { height, lines: [{ rect, text, size }] } (size = largest font height)
+ */
+export async function readPageLines(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  const { height } = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+
+  const items = [];
+  for (const it of content.items) {
+    if (!it.str?.trim()) continue;
+    const h = Math.abs(it.transform[3]) || it.height || 1;
+    const x = it.transform[4];
+    const top = height - it.transform[5] - h;
+    items.push({ str: it.str, size: h, rect: { left: x, top, right: x + (it.width || h), bottom: top + h } });
+  }
+
+  const lines = buildLines(items).map((line) => ({
+    rect: line.rect,
+    text: line.items.map((i) => i.str).join(" "),
+    size: Math.max(...line.items.map((i) => i.size))
+  }));
+  return { height, lines };
+}
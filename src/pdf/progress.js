@@ -0,0 +1,130 @@
+/**
+ * Per-document reading progress and bookmarks, kept in IndexedDB.
+ *
+ * Documents are keyed by a fingerprint of their bytes, so reopening the same
+ * file (under any name or object URL) finds its record again.
+ *
+ * record: { fingerprint, name, numPages, lastPage, lastWordIndex, updatedAt,
+ *           bookmarks: [{ id, name, page, wordIndex, createdAt }] }
+ */
+const DB_NAME = "vt.documents";
+const STORE = "documents";
+
+let dbPromise = null;
+const memory = new Map(); // used when IndexedDB is unavailable (private mode etc.)
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "fingerprint" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function request(db, mode, run) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = run(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function loadDocumentRecord(fingerprint) {
+  const db = await openDb();
+  if (!db) return memory.get(fingerprint) ?? null;
+  try {
+    return (await request(db, "readonly", (s) => s.get(fingerprint))) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// Read-modify-write of one record; returns the saved record. The get and
+// put share one transaction, so overlapping updates (a progress save racing
+// a new bookmark) apply one after the other instead of overwriting each other.
+async function updateDocumentRecord(fingerprint, change) {
+  const apply = (record) => {
+    const current = record ?? { fingerprint, lastPage: 1, lastWordIndex: 0, bookmarks: [] };
+    return { ...current, ...change(current), updatedAt: Date.now() };
+  };
+
+  const db = await openDb();
+  if (db) {
+    try {
+      let next;
+      await request(db, "readwrite", (s) => {
+        const get = s.get(fingerprint);
+        get.onsuccess = () => {
+          next = apply(get.result);
+          s.put(next);
+        };
+      });
+      return next;
+    } catch {
+      // keep it in memory for this session
+    }
+  }
+  const next = apply(memory.get(fingerprint));
+  memory.set(fingerprint, next);
+  return next;
+}
+
+export function saveProgress(fingerprint, { page, wordIndex, name, numPages }) {
+  return updateDocumentRecord(fingerprint, (r) => ({
+    lastPage: page,
+    lastWordIndex: Math.max(0, wordIndex ?? 0),
+    name: name ?? r.name,
+    numPages: numPages ?? r.numPages
+  }));
+}
+
+export function addBookmark(fingerprint, { name, page, wordIndex }) {
+  const bookmark = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    page,
+    wordIndex: Math.max(0, wordIndex ?? 0),
+    createdAt: Date.now()
+  };
+  return updateDocumentRecord(fingerprint, (r) => ({
+    bookmarks: [...(r.bookmarks ?? []), bookmark].sort(
+      (a, b) => a.page - b.page || a.wordIndex - b.wordIndex
+    )
+  }));
+}
+
+export function removeBookmark(fingerprint, id) {
+  return updateDocumentRecord(fingerprint, (r) => ({
+    bookmarks: (r.bookmarks ?? []).filter((b) => b.id !== id)
+  }));
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function fingerprintBytes(data) {
+  return toHex(await crypto.subtle.digest("SHA-256", data));
+}
+
+/**
+ * SHA-256 of the document bytes; falls back to pdf.js's own fingerprint
+ * (file ID based) when the bytes or WebCrypto aren't available.
+ */
+export async function fingerprintDocument(pdf) {
+  try {
+    return await fingerprintBytes(await pdf.getData());
+  } catch {
+    return pdf.fingerprints?.[0] ?? null;
+  }
+}
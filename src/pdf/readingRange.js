@@ -0,0 +1,93 @@
+/**
+ * Reading ranges: a page range typed by the user ("3–7") or a text
+ * selection, resolved to { page, index } positions in the word segments.
+ */
+
+// "3-7", "3–7", "3 to 7" or "5" -> { from, to } clamped to the document
+export function parsePageRange(input, numPages) {
+  const m = String(input)
+    .trim()
+    .match(/^(\d+)\s*(?:(?:-|–|—|to|\.\.)\s*(\d+))?$/i);
+  if (!m) return null;
+
+  let from = Number(m[1]);
+  let to = m[2] ? Number(m[2]) : from;
+  if (from > to) [from, to] = [to, from];
+  if (numPages) {
+    if (from > numPages) return null;
+    to = Math.min(to, numPages);
+  }
+  return from >= 1 ? { from, to } : null;
+}
+
+function firstTextNode(node, fromEnd) {
+  if (!node) return null;
+  if (node.nodeType === Node.TEXT_NODE) return node;
+  const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+  let found = null;
+  while (walker.nextNode()) {
+    found = walker.currentNode;
+    if (!fromEnd) break;
+  }
+  return found;
+}
+
+/**
+ * Segment at one end of a DOM selection. `pages` maps page number to
+ * { segments }. For the start, a boundary in whitespace moves to the next
+ * word; for the end, to the previous one. Returns { page, index } or null.
+ */
+function boundarySegment(pages, node, offset, isEnd) {
+  let textNode = node;
+  let pos = offset;
+  if (node.nodeType !== Node.TEXT_NODE) {
+    const child = node.childNodes[isEnd ? offset - 1 : offset] ?? node;
+    textNode = firstTextNode(child, isEnd);
+    pos = isEnd ? (textNode?.textContent.length ?? 0) : 0;
+  }
+  if (!textNode) return null;
+
+  const pageEl = textNode.parentElement?.closest(".react-pdf__Page");
+  const page = Number(pageEl?.dataset.pageNumber);
+  const segments = pages[page]?.segments;
+  if (!segments) return null;
+
+  let best = null;
+  segments.forEach((s, index) => {
+    for (const f of s.fragments ?? [s]) {
+      if (f.textNode !== textNode) continue;
+      if (pos >= f.startOffset && (isEnd ? pos > f.startOffset : pos < f.endOffset)) {
+        best = { index, exact: true };
+      } else if (!best?.exact) {
+        // nearest word on the right side of the boundary
+        if (!isEnd && f.startOffset >= pos && (best == null || index < best.index)) best = { index };
+        if (isEnd && f.endOffset <= pos && (best == null || index > best.index)) best = { index };
+      }
+    }
+  });
+  return best ? { page, index: best.index } : null;
+}
+
+/**
+ * The current window selection as a reading range over rendered pages:
+ * { start: { page, index }, end: { page, index }, words } (end inclusive),
+ * or null when nothing readable is selected.
+ */
+export function selectionRange(selection, pages) {
+  if (!selection || selection.isCollapsed || !selection.rangeCount) return null;
+  const r = selection.getRangeAt(0);
+
+  const start = boundarySegment(pages, r.startContainer, r.startOffset, false);
+  const end = boundarySegment(pages, r.endContainer, r.endOffset, true);
+  if (!start || !end) return null;
+  if (end.page < start.page || (end.page === start.page && end.index < start.index)) return null;
+
+  let words = 0;
+  for (let p = start.page; p <= end.page; p++) {
+    const count = pages[p]?.segments.length ?? 0;
+    const from = p === start.page ? start.index : 0;
+    const to = p === end.page ? end.index + 1 : count;
+    words += Math.max(0, to - from);
+  }
+  return { start, end, words };
+}
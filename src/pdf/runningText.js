@@ -0,0 +1,128 @@
+import { readPageLines } from "./pageText.js";
+
+/**
+ * Running headers, footers and page numbers ("page furniture").
+ *
+ * A line counts as furniture when it sits in the top/bottom margin band and
+ * either looks like a page number or (after masking digits) repeats in the
+ * same band on other pages of the document. A line that is only a roman
+ * numeral ("xii") is a page number only in a band where such lines turn up
+ * across pages; elsewhere a chapter "IV" or a word like "mix" is still read.
+ * PDFs only: reflowed documents have no margins.
+ */
+const MARGIN = 0.12; // share of page height at top and bottom
+const MAX_SAMPLE_PAGES = 16;
+const MIN_SHARE = 0.3; // share of sampled pages a line must repeat on
+
+const PAGE_NUMBER = /^(?:(?:page|p\.?|seite|página|pagina)\s*)?#(?:\s*(?:of|\/|von|de|di)\s*#)?$/i;
+// A well-formed roman numeral of up to 8 letters, as the whole line
+const ROMAN_PAGE_NUMBER =
+  /^(?:(?:page|p\.?|seite|página|pagina)\s*)?(?=[ivxlcdm]{1,8}$)m{0,3}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3})$/i;
+
+// Digits masked so "Page 3 of 40" and "Page 4 of 40" compare equal
+export function furnitureKey(text) {
+  return text
+    .toLowerCase()
+    .replace(/\d+/g, "#")
+    .replace(/[^\p{L}\p{N}#/ ]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tokens(key) {
+  return new Set(key.split(" ").filter(Boolean));
+}
+
+function similar(a, b) {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (ta.size < 3 || tb.size < 3) return false;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared) >= 0.75;
+}
+
+function bandOf(rect, pageHeight) {
+  if (rect.bottom <= pageHeight * MARGIN) return "top";
+  if (rect.top >= pageHeight * (1 - MARGIN)) return "bottom";
+  return null;
+}
+
+function samplePages(numPages) {
+  if (numPages <= MAX_SAMPLE_PAGES) return Array.from({ length: numPages }, (_, i) => i + 1);
+  const step = numPages / MAX_SAMPLE_PAGES;
+  return Array.from({ length: MAX_SAMPLE_PAGES }, (_, i) => Math.floor(i * step) + 1);
+}
+
+// Margin lines of one page, as comparable keys
+async function marginLines(pdf, pageNumber) {
+  const { height, lines } = await readPageLines(pdf, pageNumber);
+  const out = [];
+  for (const line of lines) {
+    const band = bandOf(line.rect, height);
+    if (!band) continue;
+    const key = furnitureKey(line.text);
+    if (key) out.push({ band, key });
+  }
+  return out;
+}
+
+/**
+ * Scan a sample of pages and return the margin lines that repeat, and the
+ * bands that carry roman page numbers:
+ * { top: Set(key), bottom: Set(key), romanNumbers: Set("top" | "bottom") }.
+ */
+export async function detectRunningText(pdf) {
+  const pages = samplePages(pdf.numPages);
+  const counts = { top: new Map(), bottom: new Map() };
+  const romanCounts = { top: 0, bottom: 0 };
+
+  for (const n of pages) {
+    let lines;
+    try {
+      lines = await marginLines(pdf, n);
+    } catch {
+      continue;
+    }
+    const seen = new Set();
+    for (const { band, key } of lines) {
+      const id = `${band}|${key}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      counts[band].set(key, (counts[band].get(key) ?? 0) + 1);
+    }
+    for (const band of ["top", "bottom"]) {
+      if (lines.some((l) => l.band === band && ROMAN_PAGE_NUMBER.test(l.key))) romanCounts[band]++;
+    }
+  }
+
+  const min = Math.max(2, Math.ceil(pages.length * MIN_SHARE));
+  const pick = (m) => new Set([...m].filter(([, c]) => c >= min).map(([k]) => k));
+  return {
+    top: pick(counts.top),
+    bottom: pick(counts.bottom),
+    romanNumbers: new Set(["top", "bottom"].filter((band) => romanCounts[band] >= min))
+  };
+}
+
+/**
+ * Furniture lines of the rendered page.
+ * lines: [{ id, rect, text }] with rects relative to the page (height = pageHeight).
+ * Returns a Set of line ids.
+ */
+export function findFurnitureLines(lines, pageHeight, running) {
+  const out = new Set();
+  for (const line of lines) {
+    const band = bandOf(line.rect, pageHeight);
+    if (!band) continue;
+    const key = furnitureKey(line.text);
+    if (!key) continue;
+
+    const known = running?.[band];
+    const repeats =
+      known && (known.has(key) || [...known].some((k) => similar(k, key)));
+    const roman = running?.romanNumbers?.has(band) && ROMAN_PAGE_NUMBER.test(key);
+    if (repeats || roman || PAGE_NUMBER.test(key)) out.add(line.id);
+  }
+  return out;
+}
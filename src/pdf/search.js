@@ -0,0 +1,171 @@
+import { normalizeWord } from "./normalize.js";
+
+/**
+ * Whole-document phrase search.
+ *
+ * The index is built once per document from pdf.js text content (no
+ * rendering) and matched word by word, so the same matcher finds the hit
+ * again among a rendered page's segments. Case, accents and punctuation are
+ * ignored; the last query word may be a prefix ("photo" finds "photosynthesis").
+ *
+ * result: { id, page, xRatio, yRatio, snippet: { before, match, after } }
+ */
+export const MAX_RESULTS = 300;
+const SNIPPET_WORDS = 6;
+
+export function searchKey(word) {
+  return normalizeWord(word)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+function queryKeys(query) {
+  return query.split(/\s+/).map(searchKey).filter(Boolean);
+}
+
+// Start positions in `keys` where the query words appear in sequence
+function matchPositions(keys, q) {
+  const out = [];
+  if (!q.length) return out;
+  const last = q.length - 1;
+  for (let i = 0; i + last < keys.length; i++) {
+    let ok = true;
+    for (let j = 0; j <= last && ok; j++) {
+      const k = keys[i + j];
+      ok = j === last ? k.startsWith(q[j]) : k === q[j];
+    }
+    if (ok) out.push(i);
+  }
+  return out;
+}
+
+// Words of one page with their position (share of page width/height)
+async function pageWords(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  const { width, height } = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+
+  const words = [];
+  for (const it of content.items) {
+    const parts = (it.str ?? "").split(/\s+/).filter(Boolean);
+    const xRatio = it.transform[4] / width;
+    const yRatio = (height - it.transform[5] - Math.abs(it.transform[3])) / height;
+    parts.forEach((text, i) => {
+      const prev = words[words.length - 1];
+      // "teach-" at the end of a line + "ing" at the start of the next
+      if (i === 0 && prev?.broken && /^\p{Ll}/u.test(text)) {
+        prev.text = prev.text.replace(/-$/, "") + text;
+        prev.key = searchKey(prev.text);
+        prev.broken = false;
+        return;
+      }
+      words.push({
+        text,
+        key: searchKey(text),
+        xRatio,
+        yRatio,
+        broken: i === parts.length - 1 && /\p{L}-$/u.test(text)
+      });
+    });
+  }
+  return words.filter((w) => w.key);
+}
+
+/**
+ * Index every page. onProgress(done, total) is called as pages are read;
+ * isCancelled() stops early (the partial index is discarded by the caller).
+ */
+export async function buildSearchIndex(pdf, { onProgress, isCancelled } = {}) {
+  const pages = [];
+  for (let n = 1; n <= pdf.numPages; n++) {
+    if (isCancelled?.()) return null;
+    try {
+      pages.push({ page: n, words: await pageWords(pdf, n) });
+    } catch {
+      pages.push({ page: n, words: [] });
+    }
+    onProgress?.(n, pdf.numPages);
+  }
+  return { pages };
+}
+
+/**
+ * Index for reflowed documents (see sources/), from each page's plain text.
+ * Positions are estimated from word order, which is close enough to pick
+ * the right match once the page is rendered.
+ */
+export function buildTextSearchIndex(pages) {
+  return {
+    pages: pages.map(({ page, text }) => {
+      const parts = text.split(/\s+/).filter(Boolean);
+      const words = parts.map((w, i) => ({ text: w, key: searchKey(w), xRatio: 0, yRatio: i / parts.length }));
+      return { page, words: words.filter((w) => w.key) };
+    })
+  };
+}
+
+export function searchDocument(index, query) {
+  const q = queryKeys(query);
+  const results = [];
+  if (!index || !q.length) return results;
+
+  for (const { page, words } of index.pages) {
+    const keys = words.map((w) => w.key);
+    for (const i of matchPositions(keys, q)) {
+      const end = i + q.length;
+      const text = (a, b) =>
+        words
+          .slice(Math.max(0, a), b)
+          .map((w) => w.text)
+          .join(" ");
+      results.push({
+        id: results.length,
+        page,
+        xRatio: words[i].xRatio,
+        yRatio: words[i].yRatio,
+        snippet: {
+          before: text(i - SNIPPET_WORDS, i),
+          match: text(i, end),
+          after: text(end, end + SNIPPET_WORDS)
+        }
+      });
+      if (results.length >= MAX_RESULTS) return results;
+    }
+  }
+  return results;
+}
+
+/**
+ * Matches among a rendered page's word segments: [{ from, last }]
+ * (segment index range, inclusive).
+ */
+export function findSegmentMatches(segments, query) {
+  const q = queryKeys(query);
+  const keys = segments.map((s) => searchKey(s.word));
+  return matchPositions(keys, q).map((i) => ({ from: i, last: i + q.length - 1 }));
+}
+
+/**
+ * The match on a rendered page closest to a search result's position.
+ * lines/height as returned by extractWordSegments (line id = array index).
+ */
+export function closestSegmentMatch(view, query, result) {
+  const matches = findSegmentMatches(view.segments, query);
+  const width = view.pageEl?.clientWidth || 1;
+  let best = null;
+  let bestDist = Infinity;
+  for (const m of matches) {
+    const rect = view.lines[view.segments[m.from].line]?.rect;
+    if (!rect) continue;
+    const d =
+      Math.abs(rect.top / view.height - result.yRatio) +
+      Math.abs(rect.left / width - result.xRatio) * 0.5;
+    if (d < bestDist) {
+      best = m;
+      bestDist = d;
+    }
+  }
+  return best ?? matches[0] ?? null;
+}
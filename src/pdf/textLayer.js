@@ -0,0 +1,138 @@
+import { analyzeLayout } from "./layout.js";
+import { normalizeSegments } from "./normalize.js";
+
+function getFirstTextNode(el) {
+  for (const n of el.childNodes) {
+    if (n.nodeType === Node.TEXT_NODE) return n;
+  }
+  return null;
+}
+
+const BOLD_FONT = /bold|black|heavy|semibold|demi/i;
+
+/**
+ * Spans of a pdf.js text layer that are set in a bold font. pdf.js gives the
+ * spans only a generic font family, so the weight comes from the text
+ * content: one span per item with text, in order, and each item's font -
+ * its style, and the font itself once the page's canvas has loaded it
+ * (flags and PostScript name, e.g. "ABCDEF+Times-Bold").
+ * pdfText: { page, textContent } (pdf.js page proxy and its text content)
+ */
+export function boldSpans(textLayerEl, { page, textContent } = {}) {
+  const out = new Set();
+  if (!page || !textContent) return out;
+  const spans = Array.from(textLayerEl.querySelectorAll("span:not(.markedContent)"));
+  const items = textContent.items.filter((it) => it.str);
+  if (spans.length !== items.length) return out; // not the layer of this text
+
+  const bold = new Map();
+  const isBold = (fontName) => {
+    if (!bold.has(fontName)) {
+      const font = page.commonObjs.has(fontName) ? page.commonObjs.get(fontName) : null;
+      const family = textContent.styles[fontName]?.fontFamily ?? "";
+      const named = BOLD_FONT.test(font?.name ?? "") || BOLD_FONT.test(family);
+      bold.set(fontName, !!(font?.bold || font?.black) || named);
+    }
+    return bold.get(fontName);
+  };
+  items.forEach((item, i) => {
+    if (isBold(item.fontName)) out.add(spans[i]);
+  });
+  return out;
+}
+
+/**
+ * Build a word-level map from react-pdf TextLayer spans, in reading order:
+ * each word: { index, word, text, fragments, spanEl, textNode, startOffset,
+ *              endOffset, block, line, box }
+ * `word` is the normalized spoken form; `fragments` are the visual pieces it
+ * came from (spanEl/textNode/offsets repeat the first one); `box` is the
+ * first piece's rect relative to the text layer (null if it can't be measured).
+ * `bold` is set for words in a bold font (a Set of spans, see boldSpans).
+ *
+ * Also returns the layout blocks and lines (rects relative to the text layer)
+ * for the debug overlays and header/footer detection; `height` is the text
+ * layer height in the same units. A word's `line` is the id of its line.
+ */
+export function extractWordSegments(textLayerEl, { bold = new Set() } = {}) {
+  const origin = textLayerEl.getBoundingClientRect();
+  const items = [];
+
+  for (const span of textLayerEl.querySelectorAll("span")) {
+    const textNode = getFirstTextNode(span);
+    if (!textNode || !/\S/.test(textNode.textContent ?? "")) continue;
+
+    const r = span.getBoundingClientRect();
+    items.push({
+      el: span,
+      textNode,
+      rect: {
+        left: r.left - origin.left,
+        top: r.top - origin.top,
+        right: r.right - origin.left,
+        bottom: r.bottom - origin.top
+      }
+    });
+  }
+
+  const { blocks } = analyzeLayout(items);
+
+  const raw = [];
+  const lines = [];
+  for (const block of blocks) {
+    for (const line of block.lines) {
+      const lineNo = lines.length;
+      lines.push({
+        id: lineNo,
+        rect: line.rect,
+        text: line.items.map((it) => it.textNode.textContent ?? "").join(" ")
+      });
+      for (const { el, textNode } of line.items) {
+        const s = textNode.textContent ?? "";
+        const re = /\S+/g;
+        let m;
+        while ((m = re.exec(s)) !== null) {
+          const word = m[0];
+          const startOffset = m.index;
+          const endOffset = startOffset + word.length;
+
+          raw.push({
+            word,
+            spanEl: el,
+            textNode,
+            startOffset,
+            endOffset,
+            block: block.id,
+            line: lineNo,
+            bold: bold.has(el)
+          });
+        }
+      }
+    }
+  }
+
+  const segments = normalizeSegments(raw);
+  measureSegmentBoxes(segments, origin);
+
+  return { segments, blocks, lines, height: origin.height };
+}
+
+// Set each segment's `box`: its first piece's rect relative to `origin`
+export function measureSegmentBoxes(segments, origin) {
+  const range = document.createRange();
+  for (const seg of segments) {
+    try {
+      range.setStart(seg.textNode, seg.startOffset);
+      range.setEnd(seg.textNode, seg.endOffset);
+      const r = range.getBoundingClientRect();
+      seg.box = {
+        left: r.left - origin.left,
+        top: r.top - origin.top,
+        right: r.right - origin.left,
+        bottom: r.bottom - origin.top
+      };
+    } catch {
+      seg.box = null;
+    }
+  }
+}
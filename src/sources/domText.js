@@ -0,0 +1,108 @@
+import { normalizeSegments } from "../pdf/normalize.js";
+import { measureSegmentBoxes } from "../pdf/textLayer.js";
+
+/**
+ * Word map for reflowed HTML content (EPUB chapters, articles, notes), in
+ * the same shape extractWordSegments gives for a PDF text layer:
+ * { segments, blocks, lines, height }. Text nodes are read in document
+ * order (already reading order); blocks are the paragraph-level elements,
+ * lines are found from where the words wrap.
+ */
+const BLOCK_TAGS = new Set([
+  "p", "li", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "pre", "td", "th", "dt", "dd",
+  "figcaption", "caption", "div", "section", "article"
+]);
+
+function blockOf(node, root) {
+  for (let el = node.parentElement; el && el !== root; el = el.parentElement) {
+    if (BLOCK_TAGS.has(el.localName)) return el;
+  }
+  return root;
+}
+
+function union(a, b) {
+  return a
+    ? {
+        left: Math.min(a.left, b.left),
+        top: Math.min(a.top, b.top),
+        right: Math.max(a.right, b.right),
+        bottom: Math.max(a.bottom, b.bottom)
+      }
+    : { ...b };
+}
+
+export function extractDomSegments(root) {
+  const origin = root.getBoundingClientRect();
+  const relative = (r) => ({
+    left: r.left - origin.left,
+    top: r.top - origin.top,
+    right: r.right - origin.left,
+    bottom: r.bottom - origin.top
+  });
+
+  const blockIds = new Map(); // element -> block
+  const blocks = [];
+  const lines = [];
+  const raw = [];
+  const range = document.createRange();
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+
+  let line = null;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const s = node.textContent ?? "";
+    if (!/\S/.test(s)) continue;
+
+    const el = blockOf(node, root);
+    let block = blockIds.get(el);
+    if (!block) {
+      block = { id: blocks.length, rect: null, lines: [] };
+      blockIds.set(el, block);
+      blocks.push(block);
+    }
+
+    const re = /\S+/g;
+    let m;
+    while ((m = re.exec(s)) !== null) {
+      range.setStart(node, m.index);
+      range.setEnd(node, m.index + m[0].length);
+      const r = range.getBoundingClientRect();
+      if (!r.width && !r.height) continue; // hidden text
+      const rect = relative(r);
+
+      // a new line when the block changes or the word wraps below the last one
+      const wrapped = line && rect.top >= line.rect.bottom - (r.height / 2);
+      if (!line || line.block !== block || wrapped) {
+        line = { id: lines.length, block, rect: null, words: [] };
+        lines.push(line);
+        block.lines.push(line);
+      }
+      line.rect = union(line.rect, rect);
+      line.words.push(m[0]);
+      block.rect = union(block.rect, rect);
+
+      raw.push({
+        word: m[0],
+        spanEl: node.parentElement,
+        textNode: node,
+        startOffset: m.index,
+        endOffset: m.index + m[0].length,
+        block: block.id,
+        line: line.id
+      });
+    }
+  }
+
+  const segments = normalizeSegments(raw);
+  measureSegmentBoxes(segments, origin);
+
+  return {
+    segments,
+    blocks: blocks.filter((b) => b.rect).map(({ id, rect, lines: ls }) => ({
+      id,
+      rect,
+      lines: ls.map((l) => ({ rect: l.rect }))
+    })),
+    lines: lines.map((l) => ({ id: l.id, rect: l.rect, text: l.words.join(" ") })),
+    height: origin.height
+  };
+}
@@ -0,0 +1,92 @@
+import { readZip } from "./zip.js";
+import { parseHtml, sanitizeHtml } from "./sanitize.js";
+
+/**
+ * EPUB 2/3 books: one page per spine item (usually a chapter). Images are
+ * served from the archive as blob URLs, released by dispose().
+ */
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, "application/xml");
+}
+
+// Resolve `href` against the directory of archive path `base`
+function resolvePath(base, href) {
+  const parts = base.split("/").slice(0, -1);
+  for (const seg of decodeURIComponent(href.split("#")[0]).split("/")) {
+    if (seg === "..") parts.pop();
+    else if (seg && seg !== ".") parts.push(seg);
+  }
+  return parts.join("/");
+}
+
+export const epubSource = {
+  id: "epub",
+  label: "EPUB book",
+  extensions: [".epub"],
+  types: ["application/epub+zip"],
+
+  async load(file) {
+    const zip = readZip(await file.arrayBuffer());
+    const readText = async (path) => {
+      const entry = zip.get(path);
+      if (!entry) throw new Error(`Missing file in EPUB: ${path}`);
+      return new TextDecoder().decode(await entry.read());
+    };
+
+    const container = parseXml(await readText("META-INF/container.xml"));
+    const opfPath = container.querySelector("rootfile")?.getAttribute("full-path");
+    if (!opfPath) throw new Error("EPUB has no package document");
+    const opf = parseXml(await readText(opfPath));
+
+    const manifest = new Map();
+    for (const item of opf.querySelectorAll("manifest > item")) {
+      manifest.set(item.getAttribute("id"), {
+        path: resolvePath(opfPath, item.getAttribute("href") ?? ""),
+        type: item.getAttribute("media-type") ?? ""
+      });
+    }
+    const types = new Map([...manifest.values()].map((m) => [m.path, m.type]));
+
+    const urls = new Map(); // image path in the archive -> blob URL
+    const pages = [];
+    for (const ref of opf.querySelectorAll("spine > itemref")) {
+      const item = manifest.get(ref.getAttribute("idref"));
+      if (!item || !/html/.test(item.type)) continue;
+
+      let doc;
+      try {
+        doc = parseHtml(await readText(item.path));
+      } catch {
+        continue; // a broken chapter shouldn't sink the book
+      }
+
+      // load images first so sanitizing can map their paths synchronously
+      for (const img of doc.querySelectorAll("img[src]")) {
+        const path = resolvePath(item.path, img.getAttribute("src"));
+        if (urls.has(path) || !zip.has(path)) continue;
+        const blob = new Blob([await zip.get(path).read()], { type: types.get(path) ?? "" });
+        urls.set(path, URL.createObjectURL(blob));
+      }
+      const content = sanitizeHtml(doc.body, {
+        resolveSrc: (src) => (/^data:/i.test(src) ? src : (urls.get(resolvePath(item.path, src)) ?? null))
+      });
+      // cross-chapter links can't be followed inside one page
+      for (const a of content.querySelectorAll("a[href]")) {
+        if (!/^(https?:|mailto:)/i.test(a.getAttribute("href"))) a.removeAttribute("href");
+      }
+
+      if (!content.textContent.trim() && !content.querySelector("img")) continue;
+      const heading = content.querySelector("h1, h2, h3")?.textContent.trim();
+      pages.push({ title: heading || doc.title?.trim() || null, html: content.innerHTML });
+    }
+    if (!pages.length) throw new Error("EPUB has no readable chapters");
+
+    const title = opf.getElementsByTagNameNS("*", "title")[0]?.textContent.trim() || null;
+    return {
+      title,
+      pages,
+      dispose: () => urls.forEach((url) => URL.revokeObjectURL(url))
+    };
+  }
+};
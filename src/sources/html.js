@@ -0,0 +1,20 @@
+import { mainContent, parseHtml, sanitizeHtml, splitPages } from "./sanitize.js";
+
+// Saved web pages and articles (.html)
+export const htmlSource = {
+  id: "html",
+  label: "Web page (HTML)",
+  extensions: [".html", ".htm", ".xhtml"],
+  types: ["text/html", "application/xhtml+xml"],
+
+  async load(file) {
+    const doc = parseHtml(await file.text());
+    const content = sanitizeHtml(mainContent(doc), {
+      // inline images only: relative ones can't be resolved once the page is
+      // saved to disk, remote ones aren't fetched
+      resolveSrc: (src) => (/^data:/i.test(src) ? src : null)
+    });
+    const title = doc.title?.trim() || content.querySelector("h1")?.textContent.trim() || null;
+    return { title, pages: splitPages(content) };
+  }
+};
@@ -0,0 +1,95 @@
+import { epubSource } from "./epub.js";
+import { markdownSource } from "./markdown.js";
+import { htmlSource } from "./html.js";
+import { textSource } from "./text.js";
+import { fingerprintBytes } from "../pdf/progress.js";
+
+export { extractDomSegments } from "./domText.js";
+
+/**
+ * Document sources: formats other than PDF, turned into pages of sanitized
+ * HTML that the stage renders and reads like PDF pages.
+ *
+ * Source contract (all adapters implement this):
+ *
+ *   id, label
+ *   extensions                   -> [".epub"] (lowercase, with the dot)
+ *   types                        -> MIME types
+ *   load(file)                   -> Promise<{ title, pages: [{ title, html }], dispose? }>
+ *
+ * `html` must already be sanitized (see sanitize.js). dispose() releases
+ * whatever the document holds on to (blob URLs of images etc.).
+ */
+const sources = new Map();
+
+export function registerDocumentSource(source) {
+  sources.set(source.id, source);
+  return source;
+}
+
+export function listDocumentSources() {
+  return Array.from(sources.values());
+}
+
+// Adapter for `file` by extension, then MIME type; null = not supported (e.g. PDF)
+export function findDocumentSource(file) {
+  const name = file.name?.toLowerCase() ?? "";
+  const all = listDocumentSources();
+  return (
+    all.find((s) => s.extensions.some((ext) => name.endsWith(ext))) ??
+    all.find((s) => s.types.includes(file.type)) ??
+    null
+  );
+}
+
+function headingEntries(pages) {
+  const entries = [];
+  pages.forEach((p, i) => {
+    const doc = new DOMParser().parseFromString(p.html, "text/html");
+    for (const h of doc.querySelectorAll("h1, h2, h3")) {
+      const title = h.textContent.replace(/\s+/g, " ").trim();
+      if (title) entries.push({ id: entries.length, title, level: Number(h.localName[1]), page: i + 1, yRatio: null });
+    }
+  });
+  return entries;
+}
+
+// Download a document so it opens like a picked file
+export async function fetchDocumentFile(url, name) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Download failed (${res.status})`);
+  const blob = await res.blob();
+  return new File([blob], name, { type: blob.type });
+}
+
+/**
+ * Load `file` with `source`. Returns { sourceId, name, title, pages, contents,
+ * fingerprint, dispose } where pages also carry their plain `text` (for
+ * search) and contents is a table of contents shaped like loadContents().
+ */
+export async function loadDocumentSource(file, source) {
+  const [doc, fingerprint] = await Promise.all([
+    source.load(file),
+    file.arrayBuffer().then(fingerprintBytes).catch(() => null)
+  ]);
+  const pages = doc.pages.map((p) => ({
+    ...p,
+    text: new DOMParser().parseFromString(p.html, "text/html").body.textContent ?? ""
+  }));
+  if (!pages.length) throw new Error("No readable text found");
+
+  return {
+    sourceId: source.id,
+    name: file.name,
+    title: doc.title ?? null,
+    pages,
+    contents: { source: "headings", entries: headingEntries(pages) },
+    fingerprint,
+    dispose: doc.dispose ?? (() => {})
+  };
+}
+
+registerDocumentSource(epubSource);
+registerDocumentSource(markdownSource);
+registerDocumentSource(htmlSource);
+registerDocumentSource(textSource);
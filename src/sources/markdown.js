@@ -0,0 +1,19 @@
+import { marked } from "marked";
+import { parseHtml, sanitizeHtml, splitPages } from "./sanitize.js";
+
+// Markdown notes and READMEs (.md), rendered with GitHub-flavoured rules
+export const markdownSource = {
+  id: "markdown",
+  label: "Markdown",
+  extensions: [".md", ".markdown"],
+  types: ["text/markdown", "text/x-markdown"],
+
+  async load(file) {
+    const html = await marked.parse(await file.text(), { gfm: true });
+    const content = sanitizeHtml(parseHtml(html).body, {
+      resolveSrc: (src) => (/^data:/i.test(src) ? src : null)
+    });
+    const title = content.querySelector("h1")?.textContent.trim() || null;
+    return { title, pages: splitPages(content) };
+  }
+};
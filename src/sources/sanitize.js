@@ -0,0 +1,125 @@
+/**
+ * HTML handling shared by the document sources: sanitizing untrusted markup
+ * down to readable content and cutting long documents into pages.
+ */
+const DROP = new Set([
+  "script", "style", "noscript", "template", "iframe", "frame", "object", "embed", "canvas",
+  "form", "input", "button", "select", "textarea", "nav", "aside", "svg", "math", "video", "audio",
+  "head", "link", "meta", "title"
+]);
+
+const KEEP = new Set([
+  "p", "br", "hr", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "pre", "code", "ul", "ol", "li",
+  "dl", "dt", "dd", "table", "thead", "tbody", "tfoot", "tr", "th", "td", "caption", "figure",
+  "figcaption", "img", "a", "em", "strong", "b", "i", "u", "s", "sub", "sup", "small", "mark",
+  "abbr", "cite", "q", "kbd", "var", "span", "div", "section", "article"
+]);
+
+const SAFE_HREF = /^(https?:|mailto:|#)/i;
+// images only from the document itself: a remote one would tell a third
+// party that the document was opened
+const SAFE_SRC = /^(data:image\/|blob:)/i;
+
+const PAGE_WORDS = 1500; // split long sections at about this many words
+
+function sanitizeNode(node, out, doc, resolveSrc) {
+  for (const child of node.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      out.appendChild(doc.createTextNode(child.textContent));
+      continue;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+    const tag = child.localName.toLowerCase();
+    if (DROP.has(tag)) continue;
+    if (!KEEP.has(tag)) {
+      sanitizeNode(child, out, doc, resolveSrc); // unknown wrapper: keep its content
+      continue;
+    }
+
+    const el = doc.createElement(tag);
+    if (tag === "a") {
+      const href = child.getAttribute("href") ?? "";
+      if (SAFE_HREF.test(href)) el.setAttribute("href", href);
+    } else if (tag === "img") {
+      const src = resolveSrc(child.getAttribute("src") ?? child.getAttribute("xlink:href") ?? "");
+      if (!src || !SAFE_SRC.test(src)) continue;
+      el.setAttribute("src", src);
+      el.setAttribute("alt", child.getAttribute("alt") ?? "");
+    } else if (tag === "td" || tag === "th") {
+      for (const a of ["colspan", "rowspan"]) {
+        if (child.hasAttribute(a)) el.setAttribute(a, child.getAttribute(a));
+      }
+    }
+    sanitizeNode(child, el, doc, resolveSrc);
+    out.appendChild(el);
+  }
+  return out;
+}
+
+/**
+ * Copy of `root`'s readable content with only whitelisted tags and safe
+ * attributes (no scripts, styles, handlers or remote images). resolveSrc maps
+ * image sources, e.g. EPUB-relative paths to blob URLs.
+ */
+export function sanitizeHtml(root, { resolveSrc = (src) => src } = {}) {
+  const doc = document.implementation.createHTMLDocument("");
+  return sanitizeNode(root, doc.createElement("div"), doc, resolveSrc);
+}
+
+export function parseHtml(text) {
+  return new DOMParser().parseFromString(text, "text/html");
+}
+
+function wordCount(el) {
+  return (el.textContent.match(/\S+/g) ?? []).length;
+}
+
+/**
+ * Cut sanitized content into pages: a new page at every h1/h2, and long
+ * stretches without headings every PAGE_WORDS words (at block boundaries).
+ * Returns [{ title, html }].
+ */
+export function splitPages(container) {
+  // flatten wrapper divs/sections so headings become top-level blocks
+  const blocks = [];
+  const walk = (el) => {
+    for (const child of el.childNodes) {
+      const tag = child.nodeType === Node.ELEMENT_NODE ? child.localName : null;
+      if ((tag === "div" || tag === "section" || tag === "article") && child.querySelector("h1, h2, p")) {
+        walk(child);
+      } else if (tag || child.textContent.trim()) {
+        blocks.push(child);
+      }
+    }
+  };
+  walk(container);
+
+  const pages = [];
+  let page = null;
+  const start = (title) => {
+    page = { title, nodes: [], words: 0 };
+    pages.push(page);
+  };
+  for (const block of blocks) {
+    const tag = block.localName;
+    if (!page || tag === "h1" || tag === "h2" || page.words >= PAGE_WORDS) {
+      start(tag === "h1" || tag === "h2" ? block.textContent.trim() : page?.title ?? null);
+    }
+    page.nodes.push(block);
+    page.words += block.nodeType === Node.ELEMENT_NODE ? wordCount(block) : 0;
+  }
+
+  return pages
+    .filter((p) => p.nodes.some((n) => n.textContent.trim() || n.querySelector?.("img")))
+    .map((p) => {
+      const div = document.createElement("div");
+      div.append(...p.nodes);
+      return { title: p.title, html: div.innerHTML };
+    });
+}
+
+// The main content of a web page: <article>, else <main>, else the body
+export function mainContent(doc) {
+  return doc.querySelector("article") ?? doc.querySelector("main") ?? doc.body;
+}
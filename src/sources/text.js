@@ -0,0 +1,21 @@
+import { splitPages } from "./sanitize.js";
+
+// Plain text (.txt): blank lines separate paragraphs, hard line wraps are joined
+export const textSource = {
+  id: "text",
+  label: "Plain text",
+  extensions: [".txt", ".text"],
+  types: ["text/plain"],
+
+  async load(file) {
+    const container = document.createElement("div");
+    for (const para of (await file.text()).split(/\r?\n\s*\r?\n/)) {
+      const text = para.replace(/\s+/g, " ").trim();
+      if (!text) continue;
+      const p = document.createElement("p");
+      p.textContent = text;
+      container.appendChild(p);
+    }
+    return { title: null, pages: splitPages(container) };
+  }
+};
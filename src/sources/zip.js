@@ -0,0 +1,61 @@
+/**
+ * Minimal ZIP reader for EPUB containers: stored and deflated entries,
+ * inflated with the browser's DecompressionStream. No ZIP64 or encryption.
+ *
+ * readZip(buffer) -> Map(path -> { size, read() -> Promise<Uint8Array> })
+ */
+const EOCD = 0x06054b50;
+const CENTRAL = 0x02014b50;
+const LOCAL = 0x04034b50;
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // end-of-central-directory record sits in the last 64 KiB (+ comment)
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const names = new TextDecoder();
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== CENTRAL) throw new Error("Corrupt ZIP directory");
+    const method = view.getUint16(p + 10, true);
+    const compressed = view.getUint32(p + 20, true);
+    const size = view.getUint32(p + 24, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const local = view.getUint32(p + 42, true);
+    const name = names.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue; // directory
+    entries.set(name, {
+      size,
+      read: async () => {
+        if (view.getUint32(local, true) !== LOCAL) throw new Error(`Corrupt ZIP entry: ${name}`);
+        const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        const data = bytes.subarray(start, start + compressed);
+        if (method === 0) return data;
+        if (method === 8) return inflate(data);
+        throw new Error(`Unsupported ZIP compression (${method}): ${name}`);
+      }
+    });
+  }
+  return entries;
+}
@@ -0,0 +1,141 @@
+/**
+ * Speech engine that plays audio clips instead of synthesizing in the browser.
+ * Use it for pre-recorded narration or a server TTS endpoint.
+ *
+ * resolve(text, { rate, pitch, voiceURI }) must return (or resolve to):
+ *   { src, words?: [{ charIndex, time }] }
+ * src   - audio URL (object URL, data URL, or remote)
+ * words - optional word timings; charIndex is the index in `text`,
+ *         time is the offset in seconds where that word starts.
+ */
+export function createAudioSpeechEngine({ id, label, resolve, voices = [] }) {
+  let audio = null;
+  let raf = 0;
+  let token = 0;
+  let tick = null;
+
+  const stop = () => {
+    token++;
+    cancelAnimationFrame(raf);
+    raf = 0;
+    tick = null;
+    if (audio) {
+      audio.onended = null;
+      audio.onerror = null;
+      audio.pause();
+      audio.removeAttribute("src");
+      audio.load();
+      audio = null;
+    }
+  };
+
+  return {
+    id,
+    label,
+
+    isSupported() {
+      return typeof Audio === "function";
+    },
+
+    getVoices() {
+      return voices;
+    },
+
+    onVoicesChanged() {
+      return () => {};
+    },
+
+    async speak(text, opts = {}, handlers = {}) {
+      stop();
+      const myToken = token;
+
+      let clip;
+      try {
+        clip = await resolve(text, opts);
+      } catch (err) {
+        if (myToken === token) handlers.onError?.(err);
+        return;
+      }
+      if (myToken !== token) return; // cancelled while resolving
+      if (!clip?.src) {
+        handlers.onError?.(new Error("No audio for this text"));
+        return;
+      }
+
+      const words = [...(clip.words ?? [])].sort((a, b) => a.time - b.time);
+      let nextWord = 0;
+
+      const a = new Audio(clip.src);
+      a.playbackRate = opts.rate ?? 1;
+      audio = a;
+
+      tick = () => {
+        while (nextWord < words.length && words[nextWord].time <= a.currentTime) {
+          handlers.onBoundary?.({ charIndex: words[nextWord].charIndex });
+          nextWord++;
+        }
+        raf = requestAnimationFrame(tick);
+      };
+
+      a.onended = () => {
+        cancelAnimationFrame(raf);
+        audio = null;
+        handlers.onEnd?.();
+      };
+      a.onerror = () => {
+        cancelAnimationFrame(raf);
+        audio = null;
+        handlers.onError?.(a.error ?? new Error("Audio playback failed"));
+      };
+
+      try {
+        await a.play();
+      } catch (err) {
+        if (myToken === token) {
+          stop();
+          handlers.onError?.(err);
+        }
+        return;
+      }
+      if (myToken !== token) return; // cancelled while starting
+      handlers.onStart?.();
+      raf = requestAnimationFrame(tick);
+    },
+
+    pause() {
+      cancelAnimationFrame(raf);
+      audio?.pause();
+    },
+
+    resume() {
+      if (!audio) return;
+      audio.play().catch(() => {});
+      cancelAnimationFrame(raf);
+      if (tick) raf = requestAnimationFrame(tick);
+    },
+
+    cancel() {
+      stop();
+    }
+  };
+}
+
+/**
+ * Audio engine for a server TTS endpoint: each chunk is played from
+ *   GET <url>?text=…&lang=…&voice=…
+ * which must answer with an audio file. The rate is applied on playback; with
+ * no word timings the narration estimates where each word starts.
+ */
+export function createServerSpeechEngine(url) {
+  return createAudioSpeechEngine({
+    id: "server",
+    label: "Server voice",
+    resolve(text, { lang, voiceURI }) {
+      const src = new URL(url, window.location.href);
+      src.searchParams.set("text", text);
+      if (lang) src.searchParams.set("lang", lang);
+      if (voiceURI) src.searchParams.set("voice", voiceURI);
+      return { src: src.href };
+    }
+  });
+}
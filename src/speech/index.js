@@ -0,0 +1,41 @@
+import { createWebSpeechEngine } from "./webSpeechEngine.js";
+import { createServerSpeechEngine } from "./audioSpeechEngine.js";
+
+export { createWebSpeechEngine } from "./webSpeechEngine.js";
+export { createAudioSpeechEngine, createServerSpeechEngine } from "./audioSpeechEngine.js";
+
+/**
+ * Speech engine contract (all engines implement this):
+ *
+ *   id, label
+ *   isSupported()                 -> boolean
+ *   getVoices()                   -> [{ voiceURI, name, lang }]
+ *   onVoicesChanged(cb)           -> unsubscribe()
+ *   speak(text, { rate, pitch, voiceURI, lang }, { onStart, onBoundary, onEnd, onError })
+ *   pause(), resume(), cancel()
+ *
+ * onBoundary receives { charIndex } (index into `text` where a word starts).
+ * After cancel() or a new speak(), the previous call must not fire any handler.
+ */
+const engines = new Map();
+
+export const DEFAULT_SPEECH_ENGINE = "webspeech";
+
+export function registerSpeechEngine(engine) {
+  engines.set(engine.id, engine);
+  return engine;
+}
+
+export function getSpeechEngine(id) {
+  return engines.get(id) ?? engines.get(DEFAULT_SPEECH_ENGINE) ?? null;
+}
+
+export function listSpeechEngines() {
+  return Array.from(engines.values()).filter((e) => e.isSupported());
+}
+
+registerSpeechEngine(createWebSpeechEngine());
+
+// A build with VITE_TTS_URL set also offers that server's voice in the picker
+const TTS_URL = import.meta.env?.VITE_TTS_URL;
+if (TTS_URL) registerSpeechEngine(createServerSpeechEngine(TTS_URL));
@@ -0,0 +1,158 @@
+/**
+ * Offline language detection and per-language voice selection.
+ *
+ * Detection is deliberately small: the dominant script decides non-Latin
+ * languages, and stopword/diacritic scores pick between common Latin-script
+ * languages. Short or ambiguous text returns null so callers can fall back
+ * to the page language.
+ */
+const PREFS_KEY = "vt.voicePrefs";
+
+const SCRIPTS = [
+  ["ko", /\p{Script=Hangul}/u],
+  ["ja", /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ["zh", /\p{Script=Han}/u],
+  ["ru", /\p{Script=Cyrillic}/u],
+  ["el", /\p{Script=Greek}/u],
+  ["ar", /\p{Script=Arabic}/u],
+  ["he", /\p{Script=Hebrew}/u],
+  ["hi", /\p{Script=Devanagari}/u],
+  ["bn", /\p{Script=Bengali}/u],
+  ["ta", /\p{Script=Tamil}/u],
+  ["th", /\p{Script=Thai}/u]
+];
+
+const STOPWORDS = {
+  en: "the and of to in is that it for was on are with as this be by not or have from which",
+  es: "el la de que y en los las del se por un una para con no es al lo como más pero sus",
+  fr: "le la les de des et est que une un du en dans pour qui pas sur au avec ce il sont",
+  de: "der die das und ist nicht ein eine zu den mit von sich des auf für im dem auch wird",
+  it: "il la di che e un una per non sono del della le gli con è in al si anche dei nel",
+  pt: "o a de que e do da em um uma para com não os as dos das no na se mais por",
+  nl: "de het een en van is dat op te in niet zijn voor met die er ook aan bij",
+  sv: "och att det som en är av för på med till den inte har jag de om ett",
+  pl: "i w nie na się z do że to jest jak o po co ale od są przez dla",
+  tr: "ve bir bu da de için ile çok ne gibi olan daha mı ama kadar ki"
+};
+
+const DIACRITICS = {
+  es: /[ñ¿¡]/,
+  pt: /[ãõ]/,
+  fr: /[œêëîïûù]/,
+  de: /[ßäöü]/,
+  sv: /[å]/,
+  pl: /[łąęśźżń]/,
+  tr: /[ışğ]/
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([lang, list]) => [lang, new Set(list.split(" "))])
+);
+
+export function detectLanguage(text) {
+  const letters = text.match(/\p{L}/gu);
+  if (!letters || letters.length < 4) return null;
+
+  // Non-Latin scripts: the script that covers most letters wins
+  let best = null;
+  let bestCount = 0;
+  for (const [lang, re] of SCRIPTS) {
+    const n = letters.filter((c) => re.test(c)).length;
+    if (n > bestCount) {
+      best = lang;
+      bestCount = n;
+    }
+  }
+  if (bestCount > letters.length * 0.5) {
+    if (best === "zh" && letters.some((c) => SCRIPTS[1][1].test(c))) return "ja";
+    if (best === "ru" && /[іїєґ]/iu.test(text)) return "uk";
+    return best;
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) ?? [];
+  if (words.length < 4 || letters.length < 12) return null;
+
+  const scores = {};
+  for (const lang of Object.keys(STOPWORD_SETS)) {
+    const set = STOPWORD_SETS[lang];
+    let s = 0;
+    for (const w of words) if (set.has(w)) s++;
+    if (DIACRITICS[lang]?.test(text.toLowerCase())) s += 2;
+    scores[lang] = s;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [top, second] = ranked;
+  if (top[1] < 2 || top[1] === second[1]) return null;
+  return top[0];
+}
+
+/**
+ * Detect a language per layout block (paragraph) with the page language as
+ * fallback. Returns { page, blocks: Map(blockId -> lang) }.
+ */
+export function detectSegmentLanguages(segments) {
+  const byBlock = new Map();
+  for (const s of segments) {
+    const list = byBlock.get(s.block) ?? [];
+    list.push(s.word);
+    byBlock.set(s.block, list);
+  }
+
+  const page = detectLanguage(segments.map((s) => s.word).join(" "));
+  const blocks = new Map();
+  for (const [block, words] of byBlock) {
+    blocks.set(block, detectLanguage(words.join(" ")) ?? page);
+  }
+  return { page, blocks };
+}
+
+export function primaryLang(tag) {
+  return (tag ?? "").toLowerCase().split(/[-_]/)[0];
+}
+
+export function voicesForLang(voices, lang) {
+  return voices.filter((v) => primaryLang(v.lang) === lang);
+}
+
+/**
+ * Voice for a chunk in `lang`: the user's preferred voice for that language,
+ * else the selected voice if it speaks it, else the best installed match.
+ * With no match it falls back to selectedURI ("" = engine default).
+ */
+export function pickVoiceURI(voices, lang, prefs, selectedURI) {
+  if (!lang) return selectedURI;
+  const pref = prefs[lang];
+  if (pref && voices.some((v) => v.voiceURI === pref)) return pref;
+
+  const selected = voices.find((v) => v.voiceURI === selectedURI);
+  if (selected && primaryLang(selected.lang) === lang) return selectedURI;
+
+  const matches = voicesForLang(voices, lang);
+  const best = matches.find((v) => v.default) ?? matches.find((v) => v.localService) ?? matches[0];
+  return best?.voiceURI ?? selectedURI;
+}
+
+export function languageName(lang) {
+  try {
+    return new Intl.DisplayNames([navigator.language || "en"], { type: "language" }).of(lang) ?? lang;
+  } catch {
+    return lang;
+  }
+}
+
+export function loadVoicePrefs() {
+  try {
+    return JSON.parse(localStorage.getItem(PREFS_KEY) ?? "{}") ?? {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveVoicePrefs(prefs) {
+  try {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  } catch {
+    // storage disabled: prefs last for this session only
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Pronunciation lexicon: substitutions applied to the spoken text only
+ * (the highlight still follows the displayed words).
+ *
+ * entry: { match, say, regex?, caseSensitive? }
+ *   match - word(s) as printed, e.g. "e.g." or "et al."; with regex=true a
+ *           pattern applied inside a single word
+ *   say   - what the voice should say instead ("" = skip the word)
+ */
+const STORAGE_KEY = "vt.lexicon";
+
+export const DEFAULT_LEXICON = [
+  { match: "e.g.", say: "for example" },
+  { match: "i.e.", say: "that is" },
+  { match: "etc.", say: "et cetera" },
+  { match: "et al.", say: "and others" },
+  { match: "vs.", say: "versus" },
+  { match: "km/h", say: "kilometres per hour" },
+  { match: "m/s", say: "metres per second" },
+  { match: "°C", say: "degrees Celsius", caseSensitive: true },
+  { match: "Fig.", say: "Figure", caseSensitive: true }
+];
+
+const OPENERS = /^[("'“‘[]+/;
+const CLOSERS = /^[)"'”’\],;:.!?]*$/;
+
+function cleanEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter((e) => e && typeof e.match === "string" && e.match.trim() && typeof e.say === "string")
+    .map((e) => ({
+      match: e.match.trim(),
+      say: e.say,
+      ...(e.regex ? { regex: true } : {}),
+      ...(e.caseSensitive ? { caseSensitive: true } : {})
+    }));
+}
+
+export function loadLexicon() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "null");
+    if (saved) return cleanEntries(saved);
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_LEXICON;
+}
+
+export function saveLexicon(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // storage full or disabled: keep the in-memory lexicon
+  }
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cur += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      cells.push(cur);
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  cells.push(cur);
+  return cells.map((c) => c.trim());
+}
+
+/**
+ * Parse an imported lexicon file.
+ * JSON: [{ match, say }] or { "e.g.": "for example", ... }
+ * CSV:  match,say[,regex][,caseSensitive]  (optional header row)
+ */
+export function parseLexicon(text, filename = "") {
+  const trimmed = text.trim();
+  if (/\.json$/i.test(filename) || /^[[{]/.test(trimmed)) {
+    const data = JSON.parse(trimmed);
+    const list = Array.isArray(data)
+      ? data
+      : Object.entries(data).map(([match, say]) => ({ match, say }));
+    return cleanEntries(list);
+  }
+
+  const rows = trimmed.split(/\r?\n/).filter((l) => l.trim());
+  if (rows.length && /^match\s*,\s*say/i.test(rows[0])) rows.shift();
+  const truthy = (v) => /^(1|true|yes|y)$/i.test(v ?? "");
+  return cleanEntries(
+    rows.map((line) => {
+      const [match, say, regex, caseSensitive] = parseCsvLine(line);
+      return { match, say: say ?? "", regex: truthy(regex), caseSensitive: truthy(caseSensitive) };
+    })
+  );
+}
+
+/**
+ * Compile entries into a rewrite(words, i, end) function for the speech plan.
+ * Returns { count, text } for the words starting at i, or null for no match.
+ */
+export function compileLexicon(entries) {
+  const plain = [];
+  const patterns = [];
+
+  for (const e of cleanEntries(entries)) {
+    if (e.regex) {
+      try {
+        patterns.push({ re: new RegExp(e.match, e.caseSensitive ? "g" : "gi"), say: e.say });
+      } catch {
+        // ignore invalid patterns typed into the editor
+      }
+    } else {
+      const parts = e.match.split(/\s+/);
+      plain.push({
+        parts: e.caseSensitive ? parts : parts.map((p) => p.toLowerCase()),
+        caseSensitive: !!e.caseSensitive,
+        say: e.say
+      });
+    }
+  }
+  // longest matches first ("et al." before "al.")
+  plain.sort((a, b) => b.parts.length - a.parts.length);
+
+  if (!plain.length && !patterns.length) return null;
+
+  return function rewrite(words, i, end) {
+    for (const rule of plain) {
+      const n = rule.parts.length;
+      if (i + n > end) continue;
+
+      let lead = "";
+      let trail = "";
+      let ok = true;
+      for (let k = 0; k < n && ok; k++) {
+        let w = words[i + k];
+        if (k === 0) {
+          lead = w.match(OPENERS)?.[0] ?? "";
+          w = w.slice(lead.length);
+        }
+        const cmp = rule.caseSensitive ? w : w.toLowerCase();
+        const part = rule.parts[k];
+        if (k === n - 1) {
+          // allow trailing punctuation after the match ("e.g.,")
+          if (!cmp.startsWith(part) || !CLOSERS.test(cmp.slice(part.length))) ok = false;
+          else trail = w.slice(part.length);
+        } else if (cmp !== part) {
+          ok = false;
+        }
+      }
+      if (ok) return { count: n, text: rule.say ? lead + rule.say + trail : "" };
+    }
+
+    if (patterns.length) {
+      let text = words[i];
+      for (const { re, say } of patterns) text = text.replace(re, say);
+      if (text !== words[i]) return { count: 1, text };
+    }
+    return null;
+  };
+}
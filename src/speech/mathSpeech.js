@@ -0,0 +1,277 @@
+/**
+ * Math verbalizer: finds formula runs among the page words and turns them
+ * into natural speech ("x² + y² = z²" -> "x squared plus y squared equals
+ * z squared"). Plugs into buildSpeechChunks as a rewrite, so the whole run
+ * is one spoken unit and is highlighted together.
+ *
+ * Greek letters are symbols only outside Greek text, a spaced "-" or "/"
+ * only between two operands, and an unspaced one only between single-letter
+ * variables or numbers ("x-y", "n/2") or next to other math ("2x-1 = 5"), so
+ * prose ("Η Αθήνα", "$5 - a bargain", "X-ray", "B-52", "w/o") is left alone.
+ */
+
+const GREEK = {
+  α: "alpha", β: "beta", γ: "gamma", δ: "delta", ε: "epsilon", ϵ: "epsilon",
+  ζ: "zeta", η: "eta", θ: "theta", ϑ: "theta", ι: "iota", κ: "kappa",
+  λ: "lambda", μ: "mu", ν: "nu", ξ: "xi", ο: "omicron", π: "pi", ρ: "rho",
+  σ: "sigma", ς: "sigma", τ: "tau", υ: "upsilon", φ: "phi", ϕ: "phi",
+  χ: "chi", ψ: "psi", ω: "omega",
+  Γ: "capital gamma", Δ: "capital delta", Θ: "capital theta", Λ: "capital lambda",
+  Ξ: "capital xi", Π: "capital pi", Σ: "capital sigma", Φ: "capital phi",
+  Ψ: "capital psi", Ω: "capital omega"
+};
+
+const SYMBOLS = {
+  "+": "plus", "−": "minus", "-": "minus", "×": "times", "·": "times", "⋅": "times",
+  "*": "times", "÷": "divided by", "/": "over", "=": "equals", "≠": "is not equal to",
+  "≈": "is approximately", "≡": "is equivalent to", "<": "is less than",
+  ">": "is greater than", "≤": "is less than or equal to", "≥": "is greater than or equal to",
+  "±": "plus or minus", "∓": "minus or plus", "∑": "the sum of", "∏": "the product of",
+  "∫": "the integral of", "∮": "the contour integral of", "√": "the square root of",
+  "∛": "the cube root of", "∞": "infinity", "∂": "partial", "∇": "nabla",
+  "∈": "in", "∉": "not in", "⊂": "is a subset of", "⊆": "is a subset of or equal to",
+  "⊃": "is a superset of", "⊇": "is a superset of or equal to", "∪": "union",
+  "∩": "intersection", "∅": "the empty set", "→": "to", "←": "from",
+  "⇒": "implies", "⇔": "if and only if", "↔": "if and only if", "∀": "for all",
+  "∃": "there exists", "¬": "not", "∧": "and", "∨": "or", "∝": "is proportional to",
+  "°": "degrees", "′": "prime", "″": "double prime", "%": "percent", "!": "factorial",
+  "|": "", "½": "one half", "⅓": "one third", "¼": "one quarter", "¾": "three quarters"
+};
+
+const FUNCTIONS = {
+  sin: "sine", cos: "cosine", tan: "tangent", cot: "cotangent", sec: "secant",
+  csc: "cosecant", log: "log", ln: "natural log", exp: "exp", lim: "the limit",
+  max: "max", min: "min", det: "determinant", mod: "mod"
+};
+
+const SUPERSCRIPT = {
+  "⁰": "0", "¹": "1", "²": "2", "³": "3", "⁴": "4", "⁵": "5", "⁶": "6", "⁷": "7",
+  "⁸": "8", "⁹": "9", "⁺": "+", "⁻": "-", "ⁿ": "n", "ⁱ": "i", "⁽": "(", "⁾": ")"
+};
+
+const SUBSCRIPT = {
+  "₀": "0", "₁": "1", "₂": "2", "₃": "3", "₄": "4", "₅": "5", "₆": "6", "₇": "7",
+  "₈": "8", "₉": "9", "₊": "+", "₋": "-", "ₙ": "n", "ᵢ": "i", "ⱼ": "j", "ₖ": "k", "ₓ": "x"
+};
+
+// Characters that only appear in formulas (Greek letters also spell Greek words)
+const MATH_CHAR = /[=<>≤≥≠≈≡±∓×÷·⋅∑∏∫∮√∛∞∂∇∈∉⊂⊆⊃⊇∪∩∅→⇒⇔∀∃∝^_⁰¹²³⁴-⁹⁺⁻ⁿⁱ₀-₉₊₋ₙᵢⱼₖₓ]/u;
+const GREEK_LETTER = /\p{Script=Greek}/u;
+const GREEK_WORD = /\p{Script=Greek}{2,}/u;
+const GREEK_CONTEXT = 2; // words either side checked for Greek text
+const FUNCTION_CALL = new RegExp(`^(?:${Object.keys(FUNCTIONS).join("|")})\\(.+\\)$`);
+const OPERATOR_TOKEN = /^[+\-−*/=<>|]$/;
+const SPACED_OPERATOR = /^[-/]$/; // also a dash or a slash in prose
+// "x+y", "2x-1", "a^2", "f(x)"; not "well-known", "and/or"
+const INLINE_EXPR = /^[(\p{L}\d.]{1,3}[+\-−*/^=<>][(\p{L}\d.)]{1,3}$/u;
+const WORD_JOINER = /[-/]/; // the operators of INLINE_EXPR that also join words
+// "x-y", "n/2", "2-x" on their own; not "3-7", "1/2" (ranges, dates)
+const VARIABLE_PAIR = /^(?:[a-z][-/](?:[a-z]|\d+)|\d+[-/][a-z])$/;
+const SLASH_WORDS = /^(?:w\/o|c\/o|n\/a|a\/c|b\/w|i\/o)$/i;
+// "2x-1": not math by itself, but continues a formula
+const MIXED_EXPR = /^(?=.*\d)(?=.*\p{Ll})[(\p{L}\d.]{1,3}[-/][(\p{L}\d.)]{1,3}$/u;
+const OPERAND = /^[([{]*(?:\p{L}|\d+(?:[.,]\d+)?\p{L}?|\d*\p{L}\(\p{L}\))[)\]}]*$/u;
+const TRAIL = /[,.;:?!]+$/;
+const COPULA = /^(?:is|are|was|were|be)$/i;
+const FUNCTION_LETTER = /^[fgh]$/i; // "f(x+1)" applies f; "a(b+c)" multiplies
+
+function core(word) {
+  return word.normalize("NFC").replace(TRAIL, "");
+}
+
+function inGreekText(words, k) {
+  for (let d = 1; d <= GREEK_CONTEXT; d++) {
+    if (GREEK_WORD.test(words[k - d] ?? "") || GREEK_WORD.test(words[k + d] ?? "")) return true;
+  }
+  return false;
+}
+
+// words[k] is unmistakably math
+function isStrong(words, k) {
+  const w = core(words[k]);
+  if (!w) return false;
+  if (MATH_CHAR.test(w) || FUNCTION_CALL.test(w)) return true;
+  if (GREEK_LETTER.test(w)) return !GREEK_WORD.test(w) && !inGreekText(words, k);
+  if (OPERATOR_TOKEN.test(w)) return true;
+  if (!INLINE_EXPR.test(w)) return false;
+  return !WORD_JOINER.test(w) || (VARIABLE_PAIR.test(w) && !SLASH_WORDS.test(w));
+}
+
+function isOperand(word) {
+  const w = core(word);
+  return OPERAND.test(w) || MIXED_EXPR.test(w);
+}
+
+// Something a spaced "-" or "/" can act on: "x", "2", "f(x)", "y²"
+function hasOperand(words, k) {
+  const w = words[k];
+  if (w == null) return false;
+  return isOperand(w) || (isStrong(words, k) && !OPERATOR_TOKEN.test(core(w)) && /[\p{L}\d]/u.test(core(w)));
+}
+
+function isScriptOrGreek(c) {
+  return SUPERSCRIPT[c] != null || SUBSCRIPT[c] != null || GREEK[c] != null;
+}
+
+function powerWords(exp) {
+  if (exp === "2") return ["squared"];
+  if (exp === "3") return ["cubed"];
+  return ["to the power of", ...verbalizeTokens(exp)];
+}
+
+// Read a ^ or _ argument: "(...)" group, a number, or a single char
+function readArgument(s, i) {
+  if (s[i] === "(" || s[i] === "{") {
+    const close = s[i] === "(" ? ")" : "}";
+    const end = s.indexOf(close, i + 1);
+    if (end > i) return [s.slice(i + 1, end), end + 1];
+  }
+  const m = /^\d+|^./u.exec(s.slice(i));
+  return m ? [m[0], i + m[0].length] : ["", i];
+}
+
+// Letter `tok` before s[i] is a function applied to a "(...)" argument:
+// "f(x + 1)", "P(A)"
+function appliesFunction(tok, s, i) {
+  if (tok.length !== 1 || s[i] !== "(") return false;
+  return FUNCTION_LETTER.test(tok) || /^\((?:\p{L}|\d+)\)/u.test(s.slice(i));
+}
+
+function verbalizeTokens(s) {
+  const out = [];
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+
+    if (SUPERSCRIPT[c] != null) {
+      let exp = "";
+      while (i < s.length && SUPERSCRIPT[s[i]] != null) exp += SUPERSCRIPT[s[i++]];
+      out.push(...powerWords(exp));
+      continue;
+    }
+
+    if (SUBSCRIPT[c] != null) {
+      let sub = "";
+      while (i < s.length && SUBSCRIPT[s[i]] != null) sub += SUBSCRIPT[s[i++]];
+      out.push("sub", ...verbalizeTokens(sub));
+      continue;
+    }
+
+    if (c === "^") {
+      const [arg, next] = readArgument(s, i + 1);
+      out.push(...powerWords(arg));
+      i = next;
+      continue;
+    }
+
+    if (c === "_") {
+      const [arg, next] = readArgument(s, i + 1);
+      out.push("sub", ...verbalizeTokens(arg));
+      i = next;
+      continue;
+    }
+
+    // "-" right after an operator or at the start is a sign: "negative"
+    const prev = out[out.length - 1];
+    if ((c === "-" || c === "−") && (!prev || /^(plus|minus|times|equals|over|is .*)$/.test(prev))) {
+      out.push("negative");
+      i++;
+      continue;
+    }
+
+    if (GREEK[c]) {
+      out.push(GREEK[c]);
+      i++;
+      continue;
+    }
+
+    if (SYMBOLS[c] != null) {
+      if (SYMBOLS[c]) out.push(SYMBOLS[c]);
+      i++;
+      continue;
+    }
+
+    if (c === "(" || c === ")" || c === "[" || c === "]" || c === "{" || c === "}") {
+      i++;
+      continue;
+    }
+
+    const num = /^\d+(?:[.,]\d+)?/.exec(s.slice(i));
+    if (num) {
+      out.push(num[0]);
+      i += num[0].length;
+      continue;
+    }
+
+    // letter runs: function names, else short runs are variables ("xy" -> "x y")
+    if (/\p{L}/u.test(c)) {
+      let tok = "";
+      while (i < s.length && /\p{L}/u.test(s[i]) && !isScriptOrGreek(s[i])) tok += s[i++];
+      if (FUNCTIONS[tok]) out.push(FUNCTIONS[tok], ...(s[i] === "(" ? ["of"] : []));
+      else if (tok.length <= 3) out.push(...tok.split(""), ...(appliesFunction(tok, s, i) ? ["of"] : []));
+      else out.push(tok);
+      continue;
+    }
+
+    i++; // unknown symbol: skip rather than have the voice spell it out
+  }
+  return out;
+}
+
+export function verbalizeFormula(text) {
+  return verbalizeTokens(text.normalize("NFC")).join(" ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * rewrite(words, i, end) for buildSpeechChunks: a formula run starts at a
+ * math token (or an operand right before one) and continues over operands
+ * and operators until punctuation ends it.
+ *
+ * yieldTo - another rewrite (the lexicon) whose matches the run stops in
+ *           front of, so "50 km/h" keeps the lexicon's "kilometres per hour"
+ *
+ * In a question that asks "is" ("Is x < y?") relations drop their own "is":
+ * "Is x less than y?".
+ */
+export function createMathRewrite({ yieldTo = null } = {}) {
+  return function rewrite(words, i, end) {
+    const first = words[i];
+    const startsRun = isStrong(words, i) || (isOperand(first) && i + 1 < end && isStrong(words, i + 1));
+    if (!startsRun) return null;
+
+    let j = i;
+    let strong = 0;
+    let operands = 0;
+    while (j < end) {
+      const w = words[j];
+      const s = isStrong(words, j);
+      if (!s && !isOperand(w)) break;
+      if (j > i && yieldTo?.(words, j, end)) break;
+      const between = j > i && j + 1 < end && hasOperand(words, j - 1) && hasOperand(words, j + 1);
+      if (SPACED_OPERATOR.test(core(w)) && !between) break;
+      if (s) strong++;
+      if (!s || /[\p{L}\d]/u.test(core(w))) operands++;
+      j++;
+      if (TRAIL.test(w)) break; // comma/period closes the formula
+    }
+
+    const count = j - i;
+    // a lone "-" or "/" between prose words is punctuation, not math
+    if (!strong || !operands) return null;
+    if (count === 1 && OPERATOR_TOKEN.test(core(first))) return null;
+
+    const run = words.slice(i, j);
+    const trail = run[run.length - 1].match(TRAIL)?.[0] ?? "";
+    let spoken = verbalizeFormula(run.map(core).join(" "));
+    // only relations say "is": letters are spoken one by one
+    const asks = /^\p{Lu}/u.test(words[i - 1] ?? "") || trail.includes("?");
+    if (i > 0 && asks && COPULA.test(core(words[i - 1]))) spoken = spoken.replace(/(^| )is (?=\S)/g, "$1");
+    if (!spoken) return null;
+    return { count, text: spoken + trail };
+  };
+}
@@ -0,0 +1,137 @@
+import { chunkWordAt } from "./speechPlan.js";
+import { createWordClock, estimateWordTimings, recalibrate } from "./wordTiming.js";
+
+// How long to wait for the first onboundary before switching to estimated timing
+const BOUNDARY_GRACE_MS = 1200;
+
+/**
+ * Plays speech chunks one after another through a speech engine.
+ *
+ * handlers:
+ *   onWord(index, last)           - a unit started (boundary event or timing
+ *                                   model); index..last is its segment range
+ *   onChunk(chunkIndex, total, chunk) - a chunk started playing
+ *   onSync("boundary"|"estimated")
+ *   onDone()                      - the last chunk finished
+ *   onError(err)
+ *
+ * sync: shared, mutable { calibration, noBoundaryKeys:Set } so what we learn
+ * about an engine/voice carries over to the next narration.
+ *
+ * A chunk may carry its own voiceURI/lang (per-language voices); otherwise
+ * the narration-wide voiceURI is used.
+ *
+ * Returns { pause, resume, cancel }.
+ */
+export function startNarration(engine, chunks, { rate, pitch, voiceURI }, handlers, sync) {
+  let cancelled = false;
+  let paused = false;
+  let clock = null;
+  let timer = 0;
+
+  const stopClock = () => {
+    clock?.stop();
+    clearTimeout(timer);
+  };
+
+  const playChunk = (k) => {
+    if (cancelled) return;
+    const chunk = chunks[k];
+    handlers.onChunk?.(k, chunks.length, chunk);
+    const voice = chunk.voiceURI ?? voiceURI;
+
+    // Timing model runs alongside every utterance: it drives the pointer when
+    // no boundary events arrive, and its elapsed time recalibrates the model.
+    const timing = estimateWordTimings(
+      chunk.words.map((w) => w.text),
+      rate,
+      sync.calibration
+    );
+    const syncKey = `${engine.id}|${voice}`;
+    let estimated = false;
+    let gotBoundary = false;
+
+    const showUnit = (w) => handlers.onWord?.(w.index, w.last ?? w.index);
+
+    const chunkClock = createWordClock(timing.starts, (i) => {
+      if (estimated) showUnit(chunk.words[i]);
+    });
+    clock = chunkClock;
+
+    const switchToEstimate = () => {
+      estimated = true;
+      sync.noBoundaryKeys.add(syncKey);
+      handlers.onSync?.("estimated");
+      showUnit(chunk.words[Math.max(0, chunkClock.current())]);
+    };
+
+    const waitForBoundary = () => {
+      if (gotBoundary || cancelled) return;
+      const left = BOUNDARY_GRACE_MS - chunkClock.elapsed();
+      if (left > 0) timer = setTimeout(waitForBoundary, left);
+      else switchToEstimate();
+    };
+
+    const onStart = () => {
+      if (cancelled) return;
+      chunkClock.start();
+      if (paused) chunkClock.pause();
+      if (sync.noBoundaryKeys.has(syncKey)) switchToEstimate();
+      else waitForBoundary();
+    };
+
+    const onBoundary = ({ charIndex }) => {
+      gotBoundary = true;
+      if (estimated) {
+        estimated = false;
+        sync.noBoundaryKeys.delete(syncKey);
+        handlers.onSync?.("boundary");
+      }
+      const w = chunkWordAt(chunk, charIndex);
+      if (w) showUnit(w);
+    };
+
+    const onEnd = () => {
+      // correct the timing model with the real duration
+      stopClock();
+      sync.calibration = recalibrate(sync.calibration, timing.total, chunkClock.elapsed());
+      if (cancelled) return;
+      if (k + 1 < chunks.length) playChunk(k + 1);
+      else handlers.onDone?.();
+    };
+
+    const onError = (err) => {
+      stopClock();
+      if (!cancelled) handlers.onError?.(err);
+    };
+
+    engine.speak(
+      chunk.text,
+      { rate, pitch, voiceURI: voice, lang: chunk.lang ?? "" },
+      { onStart, onBoundary, onEnd, onError }
+    );
+  };
+
+  const firstVoice = chunks[0]?.voiceURI ?? voiceURI;
+  handlers.onSync?.(sync.noBoundaryKeys.has(`${engine.id}|${firstVoice}`) ? "estimated" : "boundary");
+  if (chunks.length) playChunk(0);
+  else handlers.onDone?.();
+
+  return {
+    pause() {
+      paused = true;
+      engine.pause();
+      clock?.pause();
+    },
+    resume() {
+      paused = false;
+      engine.resume();
+      clock?.resume();
+    },
+    cancel() {
+      cancelled = true;
+      stopClock();
+      engine.cancel();
+    }
+  };
+}
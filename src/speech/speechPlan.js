@@ -0,0 +1,140 @@
+/**
+ * Turns word segments into speakable chunks (one sentence each, long
+ * sentences split, never crossing a layout block) so no single utterance
+ * runs long enough for Chrome to cut it off.
+ *
+ * chunk: { text, words: [{ index, last, text, start }] }
+ *   index..last - segment range spoken as this unit (usually one word;
+ *                 more when a lexicon rule rewrites several words)
+ *   text        - spoken form, which may differ from the displayed words
+ *   start       - char offset of the unit inside chunk.text
+ *
+ * rewrite(words, i, end) -> { count, text } | null lets callers replace the
+ * spoken form of words[i..i+count) (see lexicon.js). Boundary charIndex
+ * values are resolved against the spoken starts, so length changes are safe.
+ *
+ * `from`/`to` limit the segment range (`to` exclusive, e.g. the next
+ * heading). Segments flagged `skip` (running headers, footers, page numbers)
+ * are left out and end the chunk they interrupt.
+ */
+const MAX_CHUNK_CHARS = 220;
+
+// Abbreviations whose period doesn't end a sentence ("e.g.", "et al.", "U.S.")
+const ABBREVIATION = /^[("'“‘[]*(?:(?:\p{L}\.)+|(?:al|etc|vs|cf|figs?|eqs?|no|dr|mrs?|ms|prof|approx|ca|resp|sec|ch|vol|pp?)\.)$/iu;
+
+export function endsSentence(word) {
+  return /[.!?…]["'”’)\]]*$/.test(word) && !ABBREVIATION.test(word);
+}
+
+function endsClause(word) {
+  return /[,;:–—]["'”’)\]]*$/.test(word);
+}
+
+// Index of the first word of each sentence (word 0 always starts one)
+export function sentenceStartIndices(segments) {
+  const starts = [];
+  for (let i = 0; i < segments.length; i++) {
+    if (i === 0 || endsSentence(segments[i - 1].word)) starts.push(i);
+  }
+  return starts;
+}
+
+function makeChunk(segments, from, to, rewrite, displayWords) {
+  const words = [];
+  let text = "";
+  for (let i = from; i < to; ) {
+    const r = rewrite?.(displayWords, i, to);
+    const count = r ? Math.max(1, r.count) : 1;
+    const spoken = r ? r.text : segments[i].word;
+    if (/\S/.test(spoken)) {
+      if (text) text += " ";
+      words.push({
+        index: segments[i].index,
+        last: segments[i + count - 1].index,
+        text: spoken,
+        start: text.length
+      });
+      text += spoken;
+    }
+    i += count;
+  }
+  return { text, words };
+}
+
+export function buildSpeechChunks(
+  segments,
+  { from = 0, to = segments.length, maxChars = MAX_CHUNK_CHARS, rewrite = null } = {}
+) {
+  const end = Math.min(to, segments.length);
+  const displayWords = rewrite ? segments.map((s) => s.word) : null;
+  const chunks = [];
+  let start = from;
+  let len = 0;
+  let lastClause = -1; // last index ending a clause in the current chunk
+
+  for (let i = from; i < end; i++) {
+    if (segments[i].skip) {
+      if (i > start) chunks.push(makeChunk(segments, start, i, rewrite, displayWords));
+      start = i + 1;
+      len = 0;
+      lastClause = -1;
+      continue;
+    }
+
+    const w = segments[i].word;
+    len += (len ? 1 : 0) + w.length;
+
+    const blockEnds = i === end - 1 || segments[i + 1].block !== segments[i].block;
+    if (endsSentence(w) || blockEnds) {
+      chunks.push(makeChunk(segments, start, i + 1, rewrite, displayWords));
+      start = i + 1;
+      len = 0;
+      lastClause = -1;
+      continue;
+    }
+
+    if (endsClause(w)) lastClause = i;
+
+    if (len >= maxChars) {
+      // prefer to break after a comma/semicolon, else right here
+      const cut = lastClause >= start ? lastClause : i;
+      chunks.push(makeChunk(segments, start, cut + 1, rewrite, displayWords));
+      start = cut + 1;
+      lastClause = -1;
+      len = 0;
+      for (let j = start; j <= i; j++) len += (len ? 1 : 0) + segments[j].word.length;
+    }
+  }
+  return chunks.filter((c) => c.words.length);
+}
+
+// First rewrite that matches wins (user lexicon before built-in rules)
+export function composeRewrites(...rewrites) {
+  const list = rewrites.filter(Boolean);
+  if (!list.length) return null;
+  return (words, i, end) => {
+    for (const r of list) {
+      const hit = r(words, i, end);
+      if (hit) return hit;
+    }
+    return null;
+  };
+}
+
+// Word in `chunk` spoken at `charIndex` (greatest start <= charIndex)
+export function chunkWordAt(chunk, charIndex) {
+  const words = chunk.words;
+  let lo = 0,
+    hi = words.length - 1,
+    ans = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (words[mid].start <= charIndex) {
+      ans = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return words[ans] ?? null;
+}
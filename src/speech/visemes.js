@@ -0,0 +1,155 @@
+import { wordDuration } from "./wordTiming.js";
+
+/**
+ * Approximate lip sync. Words are turned into rough phonemes with English
+ * spelling rules (no dictionary), phonemes into one of a few mouth shapes
+ * (visemes), and the shapes are spread over each word's estimated duration
+ * (same model as wordTiming.js). The avatar restarts the track at every word
+ * boundary, so the estimate only has to cover the gap to the next one.
+ */
+export const VISEMES = ["closed", "open", "round", "wide", "teeth"];
+
+// Spellings checked longest first at each position; values are ARPAbet-like
+const GRAPHEMES = {
+  tion: ["SH", "AH", "N"],
+  sion: ["ZH", "AH", "N"],
+  igh: ["AY"],
+  tch: ["CH"],
+  sh: ["SH"],
+  ch: ["CH"],
+  th: ["TH"],
+  ph: ["F"],
+  wh: ["W"],
+  ck: ["K"],
+  ng: ["NG"],
+  qu: ["K", "W"],
+  oo: ["UW"],
+  ee: ["IY"],
+  ea: ["IY"],
+  ie: ["IY"],
+  ou: ["AW"],
+  ow: ["OW"],
+  oa: ["OW"],
+  oi: ["OY"],
+  oy: ["OY"],
+  ai: ["EY"],
+  ay: ["EY"],
+  au: ["AO"],
+  aw: ["AO"],
+  er: ["ER"],
+  ir: ["ER"],
+  ur: ["ER"],
+  ar: ["AA", "R"],
+  or: ["AO", "R"],
+  a: ["AE"],
+  b: ["B"],
+  c: ["K"],
+  d: ["D"],
+  e: ["EH"],
+  f: ["F"],
+  g: ["G"],
+  h: ["HH"],
+  i: ["IH"],
+  j: ["JH"],
+  k: ["K"],
+  l: ["L"],
+  m: ["M"],
+  n: ["N"],
+  o: ["AA"],
+  p: ["P"],
+  q: ["K"],
+  r: ["R"],
+  s: ["S"],
+  t: ["T"],
+  u: ["AH"],
+  v: ["V"],
+  w: ["W"],
+  x: ["K", "S"],
+  y: ["IY"],
+  z: ["Z"]
+};
+const MAX_GRAPHEME = 4;
+
+const DIGITS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine"];
+
+const PHONEME_VISEME = {
+  closed: ["M", "B", "P"],
+  teeth: ["F", "V"],
+  round: ["UW", "OW", "OY", "AO", "W", "R", "ER", "SH", "ZH", "CH", "JH"],
+  wide: ["IY", "IH", "EH", "EY", "S", "Z", "T", "D", "N", "L", "TH", "K", "G", "NG", "Y"]
+  // everything else (AA, AE, AH, AW, AY, HH) opens the mouth
+};
+const VISEME_OF = new Map(
+  Object.entries(PHONEME_VISEME).flatMap(([viseme, phonemes]) => phonemes.map((p) => [p, viseme]))
+);
+
+export function phonemeToViseme(phoneme) {
+  return VISEME_OF.get(phoneme) ?? "open";
+}
+
+/**
+ * Rough phonemes for one word (letters and digits only; other characters
+ * are ignored).
+ */
+export function wordToPhonemes(word) {
+  let w = word
+    .toLowerCase()
+    .replace(/\d/g, (d) => ` ${DIGITS[d]} `)
+    .replace(/[^a-z]+/g, " ")
+    .trim();
+  if (!w) return [];
+
+  // silent final e ("make", "note"), soft c ("city")
+  w = w.replace(/([a-z]{2,}[^aeiouy\s])e\b/g, "$1").replace(/c(?=[eiy])/g, "s");
+
+  const out = [];
+  for (const part of w.split(" ")) {
+    let i = 0;
+    while (i < part.length) {
+      let len = Math.min(MAX_GRAPHEME, part.length - i);
+      while (len > 1 && !GRAPHEMES[part.slice(i, i + len)]) len--;
+      const g = part.slice(i, i + len);
+      // y starting a word is a consonant ("yes")
+      out.push(...(g === "y" && i === 0 ? ["Y"] : (GRAPHEMES[g] ?? [])));
+      i += len;
+    }
+  }
+  // doubled letters ("ll", "tt") are one sound
+  return out.filter((p, k) => p !== out[k - 1]);
+}
+
+/**
+ * Mouth-shape track for `words` spoken from t=0 at `rate`:
+ * [{ at, viseme }] sorted by `at` (ms). The mouth closes for punctuation
+ * pauses and at the end.
+ */
+export function planVisemes(words, rate = 1) {
+  const k = 1 / Math.max(0.1, rate);
+  const track = [];
+  let t = 0;
+  for (const word of words) {
+    const { speak, pause } = wordDuration(word);
+    const visemes = wordToPhonemes(word).map(phonemeToViseme);
+    const step = (speak * k) / Math.max(1, visemes.length);
+    visemes.forEach((viseme, i) => {
+      if (track[track.length - 1]?.viseme !== viseme) track.push({ at: t + i * step, viseme });
+    });
+    t += speak * k;
+    if (pause) {
+      track.push({ at: t, viseme: "closed" });
+      t += pause * k;
+    }
+  }
+  track.push({ at: t, viseme: "closed" });
+  return track;
+}
+
+// Shape at `elapsed` ms into a track from planVisemes
+export function visemeAt(track, elapsed) {
+  let shape = "closed";
+  for (const key of track) {
+    if (key.at > elapsed) break;
+    shape = key.viseme;
+  }
+  return shape;
+}
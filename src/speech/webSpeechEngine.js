@@ -0,0 +1,105 @@
+/**
+ * Speech engine backed by the browser Web Speech API
+ * (window.speechSynthesis + SpeechSynthesisUtterance).
+ */
+export function createWebSpeechEngine() {
+  let current = null;
+
+  const synth = () => (typeof window === "undefined" ? null : window.speechSynthesis ?? null);
+
+  // Detach handlers so a cancelled utterance can't report end/error afterwards
+  // (Chrome fires onend/onerror for utterances removed by cancel()).
+  const detach = (utter) => {
+    if (!utter) return;
+    utter.onstart = null;
+    utter.onboundary = null;
+    utter.onend = null;
+    utter.onerror = null;
+  };
+
+  return {
+    id: "webspeech",
+    label: "Browser voice (Web Speech)",
+
+    isSupported() {
+      return !!synth() && typeof window.SpeechSynthesisUtterance === "function";
+    },
+
+    getVoices() {
+      return synth()?.getVoices?.() ?? [];
+    },
+
+    onVoicesChanged(cb) {
+      const s = synth();
+      if (!s) return () => {};
+      s.addEventListener?.("voiceschanged", cb);
+      return () => s.removeEventListener?.("voiceschanged", cb);
+    },
+
+    speak(text, { rate = 1, pitch = 1, voiceURI = "", lang = "" } = {}, handlers = {}) {
+      const s = synth();
+      if (!s) {
+        handlers.onError?.(new Error("speechSynthesis is not available"));
+        return;
+      }
+
+      detach(current);
+      s.cancel();
+      // a paused synth stays paused across cancel(); new speech must play
+      if (s.paused) s.resume();
+
+      const utter = new SpeechSynthesisUtterance(text);
+      utter.rate = rate;
+      utter.pitch = pitch;
+
+      // No explicit voice: let the browser pick one for `lang`
+      // (forcing voices[0] often meant the wrong language)
+      const voices = s.getVoices?.() ?? [];
+      const voice = voices.find((v) => v.voiceURI === voiceURI) ?? null;
+      if (voice) {
+        utter.voice = voice;
+        utter.lang = voice.lang;
+      } else if (lang) {
+        utter.lang = lang;
+      }
+
+      utter.onstart = () => handlers.onStart?.();
+
+      utter.onboundary = (e) => {
+        // Word boundaries (Chrome/Edge); e.charIndex is the index in text
+        if (typeof e.charIndex !== "number") return;
+        if (e.name && e.name !== "word") return;
+        handlers.onBoundary?.({ charIndex: e.charIndex });
+      };
+
+      utter.onend = () => {
+        detach(utter);
+        if (current === utter) current = null;
+        handlers.onEnd?.();
+      };
+
+      utter.onerror = (e) => {
+        detach(utter);
+        if (current === utter) current = null;
+        handlers.onError?.(e);
+      };
+
+      current = utter;
+      s.speak(utter);
+    },
+
+    pause() {
+      synth()?.pause();
+    },
+
+    resume() {
+      synth()?.resume();
+    },
+
+    cancel() {
+      detach(current);
+      current = null;
+      synth()?.cancel();
+    }
+  };
+}
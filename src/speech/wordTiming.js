@@ -0,0 +1,119 @@
+/**
+ * Estimated word timing, used when an engine never emits boundary events
+ * (Firefox, many Linux voices). Durations are rough averages for a
+ * rate=1.0 voice; `calibration` scales them and is refined after each
+ * utterance from the real duration.
+ */
+const MS_PER_CHAR = 62;
+const MS_PER_WORD = 85;
+const PAUSE_MS = {
+  comma: 220, // , ; :
+  sentence: 420, // . ! ?
+  dash: 160 // – — (
+};
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+function pauseAfter(word) {
+  if (/[.!?…]["'”’)\]]*$/.test(word)) return PAUSE_MS.sentence;
+  if (/[,;:]["'”’)\]]*$/.test(word)) return PAUSE_MS.comma;
+  if (/[–—-]$/.test(word)) return PAUSE_MS.dash;
+  return 0;
+}
+
+/**
+ * Estimated time for one entry of `words` at rate=1.0, in ms: `speak` for
+ * the word itself, `pause` for the punctuation pause after it.
+ */
+export function wordDuration(word) {
+  const letters = word.replace(/[^\p{L}\p{N}]/gu, "").length || 1;
+  const count = word.split(/\s+/).filter(Boolean).length || 1;
+  return { speak: MS_PER_WORD * count + letters * MS_PER_CHAR, pause: pauseAfter(word) };
+}
+
+/**
+ * words: array of strings in speaking order (an entry may hold several
+ * spoken words, e.g. a lexicon expansion).
+ * Returns { starts: ms offsets per word, total: ms for the whole text }.
+ */
+export function estimateWordTimings(words, rate = 1, calibration = 1) {
+  const k = calibration / clamp(rate, 0.1, 10);
+  const starts = new Array(words.length);
+  let t = 0;
+  for (let i = 0; i < words.length; i++) {
+    starts[i] = t;
+    const { speak, pause } = wordDuration(words[i]);
+    t += (speak + pause) * k;
+  }
+  return { starts, total: t };
+}
+
+/**
+ * Given the calibration used for an utterance and how long it really took,
+ * return the calibration to use next time (smoothed, clamped).
+ */
+export function recalibrate(calibration, estimatedMs, actualMs) {
+  if (!estimatedMs || !actualMs) return calibration;
+  const measured = calibration * (actualMs / estimatedMs);
+  return clamp(calibration + (measured - calibration) * 0.7, 0.4, 2.5);
+}
+
+/**
+ * Drives word indices from estimated start times.
+ * onWord(i) fires whenever the estimated current word changes.
+ */
+export function createWordClock(starts, onWord) {
+  let origin = 0; // performance.now() at elapsed=0
+  let pausedAt = 0;
+  let raf = 0;
+  let last = -1;
+  let running = false;
+
+  const now = () => performance.now();
+
+  const tick = () => {
+    const elapsed = now() - origin;
+    let i = last;
+    while (i + 1 < starts.length && starts[i + 1] <= elapsed) i++;
+    if (i !== last && i >= 0) {
+      last = i;
+      onWord(i);
+    }
+    raf = requestAnimationFrame(tick);
+  };
+
+  return {
+    // startedAt lets the clock catch up to speech that began earlier
+    start(startedAt = now()) {
+      origin = startedAt;
+      running = true;
+      cancelAnimationFrame(raf);
+      raf = requestAnimationFrame(tick);
+    },
+    pause() {
+      if (!running) return;
+      running = false;
+      pausedAt = now();
+      cancelAnimationFrame(raf);
+    },
+    resume() {
+      if (running || !origin) return;
+      origin += now() - pausedAt;
+      running = true;
+      raf = requestAnimationFrame(tick);
+    },
+    stop() {
+      if (running) pausedAt = now();
+      running = false;
+      cancelAnimationFrame(raf);
+    },
+    elapsed() {
+      return (running ? now() : pausedAt) - origin;
+    },
+    current() {
+      return last;
+    }
+  };
+}
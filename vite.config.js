@@ -6,8 +6,73 @@
 // });
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { VitePWA } from "vite-plugin-pwa";
+
+// Documents opened from a URL (lesson links) are kept for offline use (the
+// runtime route below repeats this pattern inline)
+const DOCUMENT_FILE = /\.(pdf|epub|md|markdown|html?|xhtml|txt|text)$/i;
 
 export default defineConfig({
-  plugins: [react()],
-  base: "/3D_Avatar_Virtual_Teacher/", 
+  plugins: [
+    react(),
+    VitePWA({
+      registerType: "autoUpdate",
+      includeAssets: ["icon.svg", "apple-touch-icon.png"],
+      manifest: {
+        name: "Virtual Teacher",
+        short_name: "Teacher",
+        description: "An avatar teacher that reads your PDFs and books aloud, pointing at every word.",
+        theme_color: "#020617",
+        background_color: "#020617",
+        display: "standalone",
+        icons: [
+          { src: "icon-192.png", sizes: "192x192", type: "image/png" },
+          { src: "icon-512.png", sizes: "512x512", type: "image/png" },
+          { src: "icon-512.png", sizes: "512x512", type: "image/png", purpose: "maskable" }
+        ]
+      },
+      workbox: {
+        // the app shell, pdf.js and its worker, and the 3D teacher model are precached
+        globPatterns: ["**/*.{js,mjs,css,html,svg,png,glb}"],
+        // the OCR engine and language data are large: cached on first use instead
+        globIgnores: ["**/tesseract-core-*", "**/*.traineddata.gz"],
+        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
+        navigateFallback: "index.html",
+        navigateFallbackDenylist: [DOCUMENT_FILE],
+        runtimeCaching: [
+          {
+            urlPattern: ({ url }) => /\/tesseract-core-|\.traineddata\.gz$/.test(url.pathname),
+            handler: "CacheFirst",
+            options: {
+              cacheName: "vt-ocr",
+              cacheableResponse: { statuses: [200] }
+            }
+          },
+          {
+            // the function is copied into sw.js on its own: no module-level names in it
+            urlPattern: ({ request, url }) =>
+              request.mode !== "navigate" && /\.(pdf|epub|md|markdown|html?|xhtml|txt|text)$/i.test(url.pathname),
+            handler: "NetworkFirst",
+            options: {
+              cacheName: "vt-documents",
+              networkTimeoutSeconds: 10,
+              expiration: { maxEntries: 30, maxAgeSeconds: 60 * 60 * 24 * 30 },
+              cacheableResponse: { statuses: [0, 200] },
+              rangeRequests: true // pdf.js reads big files in ranges
+            }
+          }
+        ]
+      }
+    })
+  ],
+  build: {
+    rollupOptions: {
+      output: {
+        // tesseract.js loads OCR language data by file name (<code>.traineddata.gz)
+        assetFileNames: (asset) =>
+          /\.traineddata\.gz$/.test(asset.name ?? "") ? "assets/[name][extname]" : "assets/[name]-[hash][extname]"
+      }
+    }
+  },
+  base: "/3D_Avatar_Virtual_Teacher/",
 });
\ No newline at end of file